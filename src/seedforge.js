@@ -70,6 +70,377 @@
         };
     }
 
+    const MASK64 = 0xFFFFFFFFFFFFFFFFn;
+    const MASK128 = (1n << 128n) - 1n;
+    const GOLDEN_GAMMA = 0x9e3779b97f4a7c15n;
+
+    /**
+     * SplitMix64 output function (Stafford variant 13)
+     * @param {bigint} z - 64-bit input
+     * @returns {bigint} Mixed 64-bit value
+     */
+    function mix64(z) {
+        z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK64;
+        z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & MASK64;
+        return z ^ (z >> 31n);
+    }
+
+    /**
+     * Rotate a 64-bit BigInt left
+     */
+    function rotl64(x, k) {
+        return ((x << BigInt(k)) | (x >> BigInt(64 - k))) & MASK64;
+    }
+
+    /**
+     * Canonical, type-tagged encoding of a seed value. Object keys are sorted,
+     * so {a: 1, b: 2} and {b: 2, a: 1} encode the same; 12, '12' and 12n do not
+     * @param {*} value - Seed value
+     * @returns {string} Encoding (one char per byte for binary data)
+     */
+    function canonicalSeed(value) {
+        switch (typeof value) {
+            case 'string':
+                return `s${value.length}:${value}`;
+            case 'number':
+                if (!Number.isFinite(value)) throw new Error('Seed numbers must be finite');
+                return `d${value === 0 ? 0 : value};`;
+            case 'bigint':
+                return `n${value};`;
+            case 'boolean':
+                return value ? 't' : 'f';
+            case 'undefined':
+                return 'u';
+        }
+        if (value === null) return 'z';
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            const bytes = value instanceof ArrayBuffer
+                ? new Uint8Array(value)
+                : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            let encoded = `b${bytes.length}:`;
+            for (let i = 0; i < bytes.length; i += 8192) {
+                encoded += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+            }
+            return encoded;
+        }
+        if (Array.isArray(value)) {
+            return `a${value.length}[${value.map(canonicalSeed).join('')}]`;
+        }
+        const proto = Object.getPrototypeOf(value);
+        if (proto === Object.prototype || proto === null) {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `o${keys.length}{${keys.map(key => canonicalSeed(key) + canonicalSeed(value[key])).join('')}}`;
+        }
+        throw new Error(`Unsupported seed type: ${Object.prototype.toString.call(value)}`);
+    }
+
+    /**
+     * Hash any seed value into 32-bit words. Strings, finite numbers, BigInts,
+     * booleans, null, byte data (ArrayBuffer, typed arrays, DataView), arrays and
+     * plain objects are encoded canonically together with their type, then
+     * hashed with cyrb128, one block of four words per block index
+     * @param {*} seed - Seed value
+     * @param {number} count - Number of 32-bit words (default 4)
+     * @returns {number[]} Array of unsigned 32-bit integers
+     */
+    function hashSeed(seed, count = 4) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Word count must be a positive integer');
+        }
+        const encoded = canonicalSeed(seed);
+        const words = [];
+        for (let block = 0; words.length < count; block++) {
+            words.push(...cyrb128(String.fromCharCode(block) + encoded));
+        }
+        return words.slice(0, count);
+    }
+
+    /**
+     * A structured seed reduced to 256 bits by hashSeed(). Generators keep this
+     * instead of the raw input so that getState() stays JSON-safe
+     */
+    class HashedSeed {
+        constructor(words) {
+            this.words = words;
+        }
+
+        toJSON() {
+            return { hashedSeed: this.words.map(w => w.toString(16).padStart(8, '0')).join('') };
+        }
+
+        // Custom generators that stringify their seed still get a distinct seed
+        toString() {
+            return `hashed:${this.toJSON().hashedSeed}`;
+        }
+    }
+
+    /**
+     * Keep string and number seeds as they are (hashed the legacy way by each
+     * generator) and reduce anything else to a HashedSeed
+     */
+    function normalizeSeed(seed) {
+        if (typeof seed === 'string' || typeof seed === 'number' || seed instanceof HashedSeed) {
+            return seed;
+        }
+        return new HashedSeed(hashSeed(seed, 8));
+    }
+
+    /**
+     * Restore a seed saved by a generator's getState(), which may have been
+     * through JSON (a HashedSeed serializes as { hashedSeed: hex })
+     */
+    function reviveSeed(seed) {
+        if (seed !== null && typeof seed === 'object' && typeof seed.hashedSeed === 'string') {
+            return new HashedSeed(Array.from({ length: 8 }, (_, i) => parseInt(seed.hashedSeed.slice(i * 8, i * 8 + 8), 16)));
+        }
+        return seed;
+    }
+
+    /**
+     * A 32-bit seed for the small-state generators
+     * @param {*} seed - Seed value
+     * @returns {number} Unsigned 32-bit integer
+     */
+    function seedToUint32(seed) {
+        seed = normalizeSeed(seed);
+        if (seed instanceof HashedSeed) return seed.words[0];
+        return typeof seed === 'string' ? stringToSeed(seed) : seed >>> 0;
+    }
+
+    /**
+     * Hash a seed into four 32-bit words via cyrb128
+     * @param {*} seed - Seed value
+     * @returns {number[]} Array of four 32-bit integers
+     */
+    function seedToWords32(seed) {
+        seed = normalizeSeed(seed);
+        if (seed instanceof HashedSeed) return seed.words.slice(0, 4);
+        return cyrb128(typeof seed === 'string' ? seed : String(seed));
+    }
+
+    /**
+     * Hash a seed into 128 bits via cyrb128
+     * @param {*} seed - Seed value
+     * @returns {bigint} 128-bit value
+     */
+    function seedToBigInt128(seed) {
+        const [h1, h2, h3, h4] = seedToWords32(seed);
+        return (BigInt(h1) << 96n) | (BigInt(h2) << 64n) | (BigInt(h3) << 32n) | BigInt(h4);
+    }
+
+    /**
+     * Expand a seed into 64-bit words using a SplitMix64 sequence,
+     * as recommended by the xoshiro authors. Structured seeds supply
+     * up to four words directly from their 256-bit hash
+     * @param {*} seed - Seed value
+     * @param {number} count - Number of words
+     * @returns {bigint[]} Array of 64-bit words
+     */
+    function seedToWords64(seed, count) {
+        seed = normalizeSeed(seed);
+        if (seed instanceof HashedSeed && count <= 4) {
+            return Array.from({ length: count }, (_, i) =>
+                (BigInt(seed.words[i * 2]) << 32n) | BigInt(seed.words[i * 2 + 1]));
+        }
+        const h = seedToBigInt128(seed);
+        let state = (h >> 64n) ^ (h & MASK64);
+        const words = [];
+        for (let i = 0; i < count; i++) {
+            state = (state + GOLDEN_GAMMA) & MASK64;
+            words.push(mix64(state));
+        }
+        return words;
+    }
+
+    /**
+     * A raw key (the 'key' option) as unsigned 32-bit words. Bytes are read
+     * as little-endian words; integer arrays are taken word for word
+     * @param {Uint8Array|Uint32Array|number[]} key - Raw key
+     * @returns {number[]} Key words
+     */
+    function keyWords(key) {
+        if (key instanceof Uint8Array) {
+            if (key.length % 4 !== 0) throw new Error('Key bytes must be a multiple of 4');
+            const view = new DataView(key.buffer, key.byteOffset, key.length);
+            return Array.from({ length: key.length / 4 }, (_, i) => view.getUint32(i * 4, true));
+        }
+        if ((Array.isArray(key) || key instanceof Uint32Array) && Array.prototype.every.call(key, Number.isInteger)) {
+            return Array.from(key, w => w >>> 0);
+        }
+        throw new Error('Key must be a Uint8Array or an array of 32-bit integers');
+    }
+
+    // ============================================================
+    // SKIP-AHEAD UTILITIES
+    // ============================================================
+
+    /**
+     * Validate a draw count and convert it to BigInt
+     * @param {number|bigint} n - Number of draws to skip
+     * @returns {bigint}
+     */
+    function toSkipCount(n) {
+        if (typeof n === 'bigint') {
+            if (n < 0n) throw new Error('Skip count must be non-negative');
+            return n;
+        }
+        if (!Number.isSafeInteger(n) || n < 0) {
+            throw new Error('Skip count must be a non-negative safe integer or BigInt');
+        }
+        return BigInt(n);
+    }
+
+    /**
+     * Advance an LCG (x -> mult * x + plus mod modulus) by delta steps in O(log delta)
+     * Brown, "Random Number Generation with Arbitrary Stride" (1994)
+     * @returns {bigint} The advanced state
+     */
+    function lcgAdvance(state, mult, plus, delta, modulus) {
+        let accMult = 1n;
+        let accPlus = 0n;
+        while (delta > 0n) {
+            if (delta & 1n) {
+                accMult = (accMult * mult) % modulus;
+                accPlus = (accPlus * mult + plus) % modulus;
+            }
+            plus = ((mult + 1n) * plus) % modulus;
+            mult = (mult * mult) % modulus;
+            delta >>= 1n;
+        }
+        return (accMult * state + accPlus) % modulus;
+    }
+
+    /**
+     * Berlekamp-Massey over GF(2)
+     * @param {number[]} bits - Output bit sequence
+     * @returns {{poly: bigint, degree: number}} Characteristic polynomial (bit i = coefficient of x^i)
+     */
+    function berlekampMassey(bits) {
+        const n = bits.length;
+        let c = new Uint8Array(n + 1);
+        let b = new Uint8Array(n + 1);
+        c[0] = b[0] = 1;
+        let L = 0, m = -1;
+
+        for (let i = 0; i < n; i++) {
+            let d = bits[i];
+            for (let j = 1; j <= L; j++) d ^= c[j] & bits[i - j];
+            if (d === 0) continue;
+
+            const t = c.slice();
+            for (let j = 0; j + i - m <= n; j++) c[j + i - m] ^= b[j];
+            if (2 * L <= i) {
+                L = i + 1 - L;
+                m = i;
+                b = t;
+            }
+        }
+
+        // Connection polynomial c(x) reversed gives the characteristic polynomial
+        let poly = 0n;
+        for (let j = 0; j <= L; j++) {
+            if (c[j]) poly |= 1n << BigInt(L - j);
+        }
+        return { poly, degree: L };
+    }
+
+    // Characteristic polynomials of GF(2)-linear generators, computed once per algorithm
+    const charPolyCache = new Map();
+
+    /**
+     * Get the characteristic polynomial of a GF(2)-linear generator
+     * @param {string} key - Cache key (algorithm name)
+     * @param {number} degree - State size in bits
+     * @param {function} createSampler - Returns a function that yields one state bit, then steps the generator
+     * @returns {bigint}
+     */
+    function linearCharPoly(key, degree, createSampler) {
+        if (!charPolyCache.has(key)) {
+            const sampleBit = createSampler();
+            const bits = [];
+            for (let i = 0; i < 2 * degree; i++) bits.push(sampleBit());
+            const result = berlekampMassey(bits);
+            if (result.degree !== degree) {
+                throw new Error(`Could not derive jump polynomial for ${key}`);
+            }
+            charPolyCache.set(key, result.poly);
+        }
+        return charPolyCache.get(key);
+    }
+
+    /**
+     * Compute x^n mod charPoly over GF(2) - the jump polynomial for n steps
+     * @param {bigint} n - Number of steps
+     * @param {bigint} charPoly - Characteristic polynomial
+     * @param {number} degree - Degree of charPoly
+     * @returns {bigint}
+     */
+    function jumpPolynomial(n, charPoly, degree) {
+        const top = 1n << BigInt(degree);
+        let result = 1n;
+        for (let bit = BigInt(n.toString(2).length - 1); bit >= 0n; bit--) {
+            // Square: spread the bits, then reduce
+            let sq = 0n;
+            for (let i = 0n, r = result; r > 0n; i++, r >>= 1n) {
+                if (r & 1n) sq |= 1n << (2n * i);
+            }
+            for (let i = BigInt(2 * degree - 2); i >= BigInt(degree); i--) {
+                if ((sq >> i) & 1n) sq ^= charPoly << (i - BigInt(degree));
+            }
+            result = sq;
+
+            if ((n >> bit) & 1n) {
+                result <<= 1n;
+                if (result & top) result ^= charPoly;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Validate a split() stream count
+     * @param {number} count - Number of streams
+     */
+    function validateSplitCount(count) {
+        if (!Number.isSafeInteger(count) || count < 1) {
+            throw new Error('Stream count must be a positive integer');
+        }
+    }
+
+    /**
+     * Split a generator into streams spaced one jump() apart.
+     * Child i starts (i + 1) jumps ahead of the generator, which is left untouched
+     * @returns {Array} Child generators
+     */
+    function splitByJump(generator, count) {
+        validateSplitCount(count);
+        const cursor = generator.clone();
+        const children = [];
+        for (let i = 0; i < count; i++) {
+            cursor.jump();
+            children.push(cursor.clone());
+        }
+        return children;
+    }
+
+    /**
+     * Split a generator's period into count + 1 equal blocks using advance().
+     * Child i starts at block i + 1; the generator itself keeps block 0
+     * @param {bigint} period - Period of the generator
+     * @returns {Array} Child generators
+     */
+    function splitByStride(generator, count, period) {
+        validateSplitCount(count);
+        const stride = period / BigInt(count + 1);
+        const children = [];
+        for (let i = 1; i <= count; i++) {
+            const child = generator.clone();
+            child.advance(stride * BigInt(i));
+            children.push(child);
+        }
+        return children;
+    }
+
     // ============================================================
     // PRNG ALGORITHMS
     // ============================================================
@@ -79,9 +450,11 @@
      * Period: ~2^32, suitable for games and simple applications
      */
     class Mulberry32 {
+        static SNAPSHOT_BYTES = 8;
+
         constructor(seed = Date.now()) {
             this.name = 'mulberry32';
-            this.seed = typeof seed === 'string' ? stringToSeed(seed) : seed >>> 0;
+            this.seed = seedToUint32(seed);
             this.state = this.seed;
         }
 
@@ -99,6 +472,33 @@
             return (t ^ t >>> 14) >>> 0;
         }
 
+        /**
+         * Skip ahead n draws in O(1) - the state is a Weyl sequence
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            const delta = toSkipCount(n) * 0x6D2B79F5n;
+            this.state = Number((BigInt(this.state >>> 0) + delta) & 0xFFFFFFFFn);
+        }
+
+        /**
+         * Split into non-overlapping streams by dividing the 2^32 period
+         * @param {number} count - Number of streams
+         * @returns {Mulberry32[]}
+         */
+        split(count) {
+            return splitByStride(this, count, 1n << 32n);
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setFloat64(offset, this.state);
+        }
+
+        loadSnapshot(view, offset) {
+            this.state = view.getFloat64(offset);
+        }
+
         getState() {
             return { state: this.state, seed: this.seed };
         }
@@ -124,14 +524,14 @@
      * Period: 2^128 - 1, excellent statistical properties
      */
     class Xoshiro128SS {
+        static SNAPSHOT_BYTES = 16;
+
         constructor(seed = Date.now()) {
             this.name = 'xoshiro128**';
-            this.originalSeed = seed;
+            this.originalSeed = normalizeSeed(seed);
             
             // Initialize state from seed
-            const seedStr = typeof seed === 'string' ? seed : String(seed);
-            const seeds = cyrb128(seedStr);
-            this.s = new Uint32Array(seeds);
+            this.s = new Uint32Array(seedToWords32(this.originalSeed));
         }
 
         _rotl(x, k) {
@@ -162,19 +562,55 @@
          * Useful for parallel streams
          */
         jump() {
-            const JUMP = [0x8764000b, 0xf542d2d3, 0x6fa035c3, 0x77f2db5b];
+            this._jumpWith(0x77f2db5b6fa035c3f542d2d38764000bn);
+        }
+
+        /**
+         * Long jump function - equivalent to 2^96 calls to next()
+         * Gives 2^32 starting points, each with 2^32 jump() streams
+         */
+        longJump() {
+            this._jumpWith(0x1c580662ccf5a0ef0b6f099fb523952en);
+        }
+
+        /**
+         * Split into non-overlapping streams spaced 2^64 draws apart
+         * @param {number} count - Number of streams
+         * @returns {Xoshiro128SS[]}
+         */
+        split(count) {
+            return splitByJump(this, count);
+        }
+
+        /**
+         * Skip ahead n draws in O(log n) using a jump polynomial
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            const charPoly = linearCharPoly(this.name, 128, Xoshiro128SS._sampler);
+            this._jumpWith(jumpPolynomial(toSkipCount(n), charPoly, 128));
+        }
+
+        static _sampler() {
+            const gen = new Xoshiro128SS('charpoly');
+            return () => {
+                const bit = gen.s[0] & 1;
+                gen.nextInt();
+                return bit;
+            };
+        }
+
+        _jumpWith(poly) {
             let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
 
-            for (let i = 0; i < 4; i++) {
-                for (let b = 0; b < 32; b++) {
-                    if (JUMP[i] & (1 << b)) {
-                        s0 ^= this.s[0];
-                        s1 ^= this.s[1];
-                        s2 ^= this.s[2];
-                        s3 ^= this.s[3];
-                    }
-                    this.nextInt();
+            for (; poly > 0n; poly >>= 1n) {
+                if (poly & 1n) {
+                    s0 ^= this.s[0];
+                    s1 ^= this.s[1];
+                    s2 ^= this.s[2];
+                    s3 ^= this.s[3];
                 }
+                this.nextInt();
             }
 
             this.s[0] = s0 >>> 0;
@@ -183,6 +619,15 @@
             this.s[3] = s3 >>> 0;
         }
 
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            for (let i = 0; i < 4; i++) view.setUint32(offset + i * 4, this.s[i]);
+        }
+
+        loadSnapshot(view, offset) {
+            for (let i = 0; i < 4; i++) this.s[i] = view.getUint32(offset + i * 4);
+        }
+
         getState() {
             return {
                 s: Array.from(this.s),
@@ -192,15 +637,11 @@
 
         setState(savedState) {
             this.s = new Uint32Array(savedState.s);
-            this.originalSeed = savedState.originalSeed;
+            this.originalSeed = reviveSeed(savedState.originalSeed);
         }
 
         reset() {
-            const seedStr = typeof this.originalSeed === 'string' 
-                ? this.originalSeed 
-                : String(this.originalSeed);
-            const seeds = cyrb128(seedStr);
-            this.s = new Uint32Array(seeds);
+            this.s = new Uint32Array(seedToWords32(this.originalSeed));
         }
 
         clone() {
@@ -215,14 +656,14 @@
      * Period: 2^128 - 1
      */
     class Xorshift128Plus {
+        static SNAPSHOT_BYTES = 16;
+
         constructor(seed = Date.now()) {
             this.name = 'xorshift128+';
-            this.originalSeed = seed;
+            this.originalSeed = normalizeSeed(seed);
             
-            const seedStr = typeof seed === 'string' ? seed : String(seed);
-            const seeds = cyrb128(seedStr);
             // Use 4x 32-bit state instead of 2x 64-bit BigInt
-            this.s = new Uint32Array(seeds);
+            this.s = new Uint32Array(seedToWords32(this.originalSeed));
         }
 
         next() {
@@ -256,6 +697,72 @@
             return this.s[0] >>> 0;
         }
 
+        /**
+         * Skip ahead n draws in O(log n) using a jump polynomial
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            const charPoly = linearCharPoly(this.name, 128, Xorshift128Plus._sampler);
+            this._jumpWith(jumpPolynomial(toSkipCount(n), charPoly, 128));
+        }
+
+        /**
+         * Jump function - equivalent to 2^64 calls to next()
+         */
+        jump() {
+            if (!Xorshift128Plus._jump64) {
+                const charPoly = linearCharPoly(this.name, 128, Xorshift128Plus._sampler);
+                Xorshift128Plus._jump64 = jumpPolynomial(1n << 64n, charPoly, 128);
+            }
+            this._jumpWith(Xorshift128Plus._jump64);
+        }
+
+        /**
+         * Split into non-overlapping streams spaced 2^64 draws apart
+         * @param {number} count - Number of streams
+         * @returns {Xorshift128Plus[]}
+         */
+        split(count) {
+            return splitByJump(this, count);
+        }
+
+        _jumpWith(poly) {
+            let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+
+            for (; poly > 0n; poly >>= 1n) {
+                if (poly & 1n) {
+                    s0 ^= this.s[0];
+                    s1 ^= this.s[1];
+                    s2 ^= this.s[2];
+                    s3 ^= this.s[3];
+                }
+                this.nextInt();
+            }
+
+            this.s[0] = s0 >>> 0;
+            this.s[1] = s1 >>> 0;
+            this.s[2] = s2 >>> 0;
+            this.s[3] = s3 >>> 0;
+        }
+
+        static _sampler() {
+            const gen = new Xorshift128Plus('charpoly');
+            return () => {
+                const bit = gen.s[0] & 1;
+                gen.nextInt();
+                return bit;
+            };
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            for (let i = 0; i < 4; i++) view.setUint32(offset + i * 4, this.s[i]);
+        }
+
+        loadSnapshot(view, offset) {
+            for (let i = 0; i < 4; i++) this.s[i] = view.getUint32(offset + i * 4);
+        }
+
         getState() {
             return {
                 s: Array.from(this.s),
@@ -265,15 +772,11 @@
 
         setState(savedState) {
             this.s = new Uint32Array(savedState.s);
-            this.originalSeed = savedState.originalSeed;
+            this.originalSeed = reviveSeed(savedState.originalSeed);
         }
 
         reset() {
-            const seedStr = typeof this.originalSeed === 'string' 
-                ? this.originalSeed 
-                : String(this.originalSeed);
-            const seeds = cyrb128(seedStr);
-            this.s = new Uint32Array(seeds);
+            this.s = new Uint32Array(seedToWords32(this.originalSeed));
         }
 
         clone() {
@@ -289,23 +792,20 @@
      * This is a 32-bit optimized version
      */
     class PCG32 {
+        static SNAPSHOT_BYTES = 8;
+
         constructor(seed = Date.now(), sequence = 1) {
             this.name = 'pcg32';
-            this.originalSeed = seed;
+            this.originalSeed = normalizeSeed(seed);
             this.originalSequence = sequence;
-            
-            const numSeed = typeof seed === 'string' ? stringToSeed(seed) : seed >>> 0;
-            
-            // Use two 32-bit values to represent 64-bit state
-            this.stateHi = 0;
-            this.stateLo = 0;
-            this.incHi = 0;
-            this.incLo = (sequence << 1) | 1;
-            
-            // Warm up
-            this.nextInt();
-            this._add64(numSeed, 0);
-            this.nextInt();
+            this.reset();
+        }
+
+        // Set the increment from a stream selector (up to 2^63 streams)
+        _setSequence(sequence) {
+            const inc = ((BigInt(sequence) << 1n) | 1n) & MASK64;
+            this.incHi = Number(inc >> 32n);
+            this.incLo = Number(inc & 0xFFFFFFFFn);
         }
 
         // Add a 64-bit value to state (stateLo/stateHi)
@@ -321,30 +821,24 @@
         _multiply() {
             const multHi = 0x5851F42D;
             const multLo = 0x4C957F2D;
-            
-            // 64-bit multiplication using 32-bit parts
-            const a = this.stateLo >>> 16;
-            const b = this.stateLo & 0xFFFF;
-            const c = multLo >>> 16;
-            const d = multLo & 0xFFFF;
-            
-            let low = b * d;
-            let mid1 = a * d;
-            let mid2 = b * c;
-            let high = a * c;
-            
-            mid1 += low >>> 16;
-            mid1 += mid2;
-            if (mid1 < mid2) high += 0x10000;
-            
-            const newLo = (low & 0xFFFF) | ((mid1 & 0xFFFF) << 16);
-            const newHi = high + (mid1 >>> 16);
-            
-            // Add cross terms for high part
-            const crossHi = (this.stateLo * multHi + this.stateHi * multLo) >>> 0;
-            
-            this.stateLo = newLo >>> 0;
-            this.stateHi = (newHi + crossHi) >>> 0;
+
+            // Full 32x32 -> 64-bit product of the low words, in 16-bit limbs
+            const a0 = this.stateLo & 0xFFFF;
+            const a1 = this.stateLo >>> 16;
+            const b0 = multLo & 0xFFFF;
+            const b1 = multLo >>> 16;
+
+            const p00 = a0 * b0;
+            const p01 = a0 * b1;
+            const p10 = a1 * b0;
+            const mid = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+            const carry = a1 * b1 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16);
+
+            // Cross terms only affect the high word
+            const newHi = carry + Math.imul(this.stateLo, multHi) + Math.imul(this.stateHi, multLo);
+
+            this.stateLo = ((mid << 16) | (p00 & 0xFFFF)) >>> 0;
+            this.stateHi = newHi >>> 0;
         }
 
         nextInt() {
@@ -355,8 +849,11 @@
             this._multiply();
             this._add64(this.incLo, this.incHi);
             
-            // Calculate output using xorshift and rotation
-            const xorshifted = (((oldHi >>> 18) ^ oldHi) >>> 27) ^ (oldLo >>> 27);
+            // Calculate output using xorshift and rotation:
+            // xorshifted = ((old >> 18) ^ old) >> 27, truncated to 32 bits
+            const xHi = oldHi ^ (oldHi >>> 18);
+            const xLo = oldLo ^ ((oldLo >>> 18) | (oldHi << 14));
+            const xorshifted = ((xLo >>> 27) | (xHi << 5)) >>> 0;
             const rot = oldHi >>> 27;
             
             return ((xorshifted >>> rot) | (xorshifted << ((-rot) & 31))) >>> 0;
@@ -366,6 +863,55 @@
             return this.nextInt() / 4294967296;
         }
 
+        /**
+         * Skip ahead n draws in O(log n) using LCG arbitrary-stride advance
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            const state = (BigInt(this.stateHi) << 32n) | BigInt(this.stateLo);
+            const inc = (BigInt(this.incHi) << 32n) | BigInt(this.incLo);
+            const advanced = lcgAdvance(state, 6364136223846793005n, inc, toSkipCount(n), 1n << 64n);
+            this.stateHi = Number(advanced >> 32n);
+            this.stateLo = Number(advanced & 0xFFFFFFFFn);
+        }
+
+        /**
+         * Split into streams using PCG stream selectors. Each child is seeded
+         * from the current state, like the constructor, on its own stream
+         * (sequence + 1 ... sequence + count)
+         * @param {number} count - Number of streams
+         * @returns {PCG32[]}
+         */
+        split(count) {
+            validateSplitCount(count);
+            const children = [];
+            for (let i = 1; i <= count; i++) {
+                const child = this.clone();
+                child.originalSequence = typeof this.originalSequence === 'number' && Number.isSafeInteger(this.originalSequence + i)
+                    ? this.originalSequence + i
+                    : BigInt(this.originalSequence) + BigInt(i);
+                child.stateHi = 0;
+                child.stateLo = 0;
+                child._setSequence(child.originalSequence);
+                child.nextInt();
+                child._add64(this.stateLo, this.stateHi);
+                child.nextInt();
+                children.push(child);
+            }
+            return children;
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setUint32(offset, this.stateHi);
+            view.setUint32(offset + 4, this.stateLo);
+        }
+
+        loadSnapshot(view, offset) {
+            this.stateHi = view.getUint32(offset);
+            this.stateLo = view.getUint32(offset + 4);
+        }
+
         getState() {
             return {
                 stateHi: this.stateHi,
@@ -373,7 +919,10 @@
                 incHi: this.incHi,
                 incLo: this.incLo,
                 originalSeed: this.originalSeed,
-                originalSequence: this.originalSequence
+                // BigInt sequences are stored as decimal strings to stay JSON-safe
+                originalSequence: typeof this.originalSequence === 'bigint'
+                    ? this.originalSequence.toString()
+                    : this.originalSequence
             };
         }
 
@@ -382,27 +931,28 @@
             this.stateLo = savedState.stateLo;
             this.incHi = savedState.incHi;
             this.incLo = savedState.incLo;
-            this.originalSeed = savedState.originalSeed;
+            this.originalSeed = reviveSeed(savedState.originalSeed);
             this.originalSequence = savedState.originalSequence;
         }
 
         reset() {
-            const numSeed = typeof this.originalSeed === 'string' 
-                ? stringToSeed(this.originalSeed) 
-                : this.originalSeed >>> 0;
-            
+            // Use two 32-bit values to represent 64-bit state
             this.stateHi = 0;
             this.stateLo = 0;
-            this.incHi = 0;
-            this.incLo = (this.originalSequence << 1) | 1;
+            this._setSequence(this.originalSequence);
             
+            // Warm up; structured seeds fill all 64 bits of the initial state
             this.nextInt();
-            this._add64(numSeed, 0);
+            if (this.originalSeed instanceof HashedSeed) {
+                this._add64(this.originalSeed.words[1], this.originalSeed.words[0]);
+            } else {
+                this._add64(seedToUint32(this.originalSeed), 0);
+            }
             this.nextInt();
         }
 
         clone() {
-            const cloned = new PCG32(this.originalSeed, this.originalSequence);
+            const cloned = new this.constructor(this.originalSeed, this.originalSequence);
             cloned.stateHi = this.stateHi;
             cloned.stateLo = this.stateLo;
             cloned.incHi = this.incHi;
@@ -412,25 +962,88 @@
     }
 
     /**
-     * SFC32 (Simple Fast Counter) - Very fast, passes BigCrush
-     * Period: ~2^128
+     * PCG32 as SeedForge 1.x implemented it, before it followed the reference:
+     * its multiply dropped carries and its output step lost most of the state
+     * bits, so its output is poor. Kept only to reproduce sequences of old seeds
      */
-    class SFC32 {
-        constructor(seed = Date.now()) {
-            this.name = 'sfc32';
-            this.originalSeed = seed;
-            
-            const seedStr = typeof seed === 'string' ? seed : String(seed);
-            const seeds = cyrb128(seedStr);
-            [this.a, this.b, this.c, this.counter] = seeds;
+    class PCG32Legacy extends PCG32 {
+        constructor(seed = Date.now(), sequence = 1) {
+            super(seed, sequence);
+            this.name = 'pcg32-legacy';
         }
 
-        nextInt() {
-            const t = (this.a + this.b + this.counter++) >>> 0;
-            this.a = this.b ^ (this.b >>> 9);
-            this.b = (this.c + (this.c << 3)) >>> 0;
-            this.c = ((this.c << 21) | (this.c >>> 11)) >>> 0;
-            this.c = (this.c + t) >>> 0;
+        _multiply() {
+            const multHi = 0x5851F42D;
+            const multLo = 0x4C957F2D;
+
+            // 64-bit multiplication using 32-bit parts
+            const a = this.stateLo >>> 16;
+            const b = this.stateLo & 0xFFFF;
+            const c = multLo >>> 16;
+            const d = multLo & 0xFFFF;
+
+            const low = b * d;
+            let mid1 = a * d;
+            const mid2 = b * c;
+            let high = a * c;
+
+            mid1 += low >>> 16;
+            mid1 += mid2;
+            if (mid1 < mid2) high += 0x10000;
+
+            const newLo = (low & 0xFFFF) | ((mid1 & 0xFFFF) << 16);
+            const newHi = high + (mid1 >>> 16);
+
+            // Add cross terms for high part
+            const crossHi = (this.stateLo * multHi + this.stateHi * multLo) >>> 0;
+
+            this.stateLo = newLo >>> 0;
+            this.stateHi = (newHi + crossHi) >>> 0;
+        }
+
+        nextInt() {
+            const oldHi = this.stateHi;
+            const oldLo = this.stateLo;
+
+            this._multiply();
+            this._add64(this.incLo, this.incHi);
+
+            const xorshifted = (((oldHi >>> 18) ^ oldHi) >>> 27) ^ (oldLo >>> 27);
+            const rot = oldHi >>> 27;
+
+            return ((xorshifted >>> rot) | (xorshifted << ((-rot) & 31))) >>> 0;
+        }
+
+        /**
+         * Skip ahead n draws by stepping (O(n)): the legacy multiply is not an
+         * exact LCG step, so the closed-form advance does not apply
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            for (let i = toSkipCount(n); i > 0n; i--) this.nextInt();
+        }
+    }
+
+    /**
+     * SFC32 (Simple Fast Counter) - Very fast, passes BigCrush
+     * Period: ~2^128
+     */
+    class SFC32 {
+        static SNAPSHOT_BYTES = 20;
+
+        constructor(seed = Date.now()) {
+            this.name = 'sfc32';
+            this.originalSeed = normalizeSeed(seed);
+            
+            [this.a, this.b, this.c, this.counter] = seedToWords32(this.originalSeed);
+        }
+
+        nextInt() {
+            const t = (this.a + this.b + this.counter++) >>> 0;
+            this.a = this.b ^ (this.b >>> 9);
+            this.b = (this.c + (this.c << 3)) >>> 0;
+            this.c = ((this.c << 21) | (this.c >>> 11)) >>> 0;
+            this.c = (this.c + t) >>> 0;
             return t;
         }
 
@@ -438,6 +1051,51 @@
             return this.nextInt() / 4294967296;
         }
 
+        /**
+         * Skip ahead n draws. SFC32 mixes its counter non-linearly into the
+         * state, so there is no closed-form jump: this steps n times (O(n))
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            for (let i = toSkipCount(n); i > 0n; i--) this.nextInt();
+        }
+
+        /**
+         * Split into streams seeded independently from a hash of the parent state
+         * and the child index. SFC32 has no jump, so unlike the other algorithms
+         * non-overlap is NOT guaranteed: the streams are unrelated random starting
+         * points on a ~2^128 state space, and count streams of L draws each overlap
+         * with probability about count^2 * L / 2^128 (e.g. 2^-68 for 1000 streams
+         * of 2^40 draws). The counter keeps every cycle at least 2^32 long
+         * @param {number} count - Number of streams
+         * @returns {SFC32[]}
+         */
+        split(count) {
+            validateSplitCount(count);
+            const children = [];
+            for (let i = 1; i <= count; i++) {
+                const child = this.clone();
+                [child.a, child.b, child.c, child.counter] = hashSeed(['sfc32-split', this.a, this.b, this.c, this.counter, i], 4);
+                children.push(child);
+            }
+            return children;
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setFloat64(offset, this.counter);
+            view.setUint32(offset + 8, this.a);
+            view.setUint32(offset + 12, this.b);
+            view.setUint32(offset + 16, this.c);
+        }
+
+        loadSnapshot(view, offset) {
+            this.counter = view.getFloat64(offset);
+            this.a = view.getUint32(offset + 8);
+            this.b = view.getUint32(offset + 12);
+            this.c = view.getUint32(offset + 16);
+        }
+
         getState() {
             return {
                 a: this.a, b: this.b, c: this.c, counter: this.counter,
@@ -450,15 +1108,11 @@
             this.b = savedState.b;
             this.c = savedState.c;
             this.counter = savedState.counter;
-            this.originalSeed = savedState.originalSeed;
+            this.originalSeed = reviveSeed(savedState.originalSeed);
         }
 
         reset() {
-            const seedStr = typeof this.originalSeed === 'string' 
-                ? this.originalSeed 
-                : String(this.originalSeed);
-            const seeds = cyrb128(seedStr);
-            [this.a, this.b, this.c, this.counter] = seeds;
+            [this.a, this.b, this.c, this.counter] = seedToWords32(this.originalSeed);
         }
 
         clone() {
@@ -476,9 +1130,11 @@
      * Included for educational purposes and compatibility
      */
     class LCG {
+        static SNAPSHOT_BYTES = 8;
+
         constructor(seed = Date.now(), a = 1664525, c = 1013904223, m = 4294967296) {
             this.name = 'lcg';
-            this.seed = typeof seed === 'string' ? stringToSeed(seed) : seed >>> 0;
+            this.seed = seedToUint32(seed);
             this.state = this.seed;
             this.a = a;
             this.c = c;
@@ -494,6 +1150,34 @@
             return this.nextInt() / this.m;
         }
 
+        /**
+         * Skip ahead n draws in O(log n) using arbitrary-stride advance
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            this.state = Number(lcgAdvance(
+                BigInt(this.state), BigInt(this.a), BigInt(this.c), toSkipCount(n), BigInt(this.m)
+            ));
+        }
+
+        /**
+         * Split into non-overlapping streams by dividing the period (m)
+         * @param {number} count - Number of streams
+         * @returns {LCG[]}
+         */
+        split(count) {
+            return splitByStride(this, count, BigInt(this.m));
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setFloat64(offset, this.state);
+        }
+
+        loadSnapshot(view, offset) {
+            this.state = view.getFloat64(offset);
+        }
+
         getState() {
             return { state: this.state, seed: this.seed, a: this.a, c: this.c, m: this.m };
         }
@@ -513,712 +1197,3648 @@
         }
     }
 
-    // ============================================================
-    // PRNG WRAPPER WITH DISTRIBUTIONS AND UTILITIES
-    // ============================================================
+    /**
+     * Xoshiro256** - 64-bit output, 256-bit state
+     * Period: 2^256 - 1, excellent statistical properties
+     * Uses BigInt arithmetic; next() returns full 53-bit doubles
+     */
+    class Xoshiro256SS {
+        static SNAPSHOT_BYTES = 32;
 
-    class PRNG {
-        /**
-         * Create a new PRNG instance
-         * @param {string|number} seed - Seed value (string or number)
-         * @param {string} algorithm - Algorithm name: 'mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg'
-         */
-        constructor(seed = Date.now(), algorithm = 'xoshiro128') {
-            this.setSeed(seed, algorithm);
-        }
-
-        /**
-         * Set or change the seed and optionally the algorithm
-         */
-        setSeed(seed, algorithm = this.generator?.name || 'xoshiro128') {
-            switch (algorithm.toLowerCase()) {
-                case 'mulberry32':
-                case 'mulberry':
-                    this.generator = new Mulberry32(seed);
-                    break;
-                case 'xoshiro128':
-                case 'xoshiro128**':
-                case 'xoshiro':
-                    this.generator = new Xoshiro128SS(seed);
-                    break;
-                case 'xorshift128':
-                case 'xorshift128+':
-                case 'xorshift':
-                    this.generator = new Xorshift128Plus(seed);
-                    break;
-                case 'pcg32':
-                case 'pcg':
-                    this.generator = new PCG32(seed);
-                    break;
-                case 'sfc32':
-                case 'sfc':
-                    this.generator = new SFC32(seed);
-                    break;
-                case 'lcg':
-                    this.generator = new LCG(seed);
-                    break;
-                default:
-                    throw new Error(`Unknown algorithm: ${algorithm}`);
-            }
-            
-            // Cache for normal distribution (Box-Muller)
-            this._spareNormal = null;
-            this._hasSpareNormal = false;
+        constructor(seed = Date.now()) {
+            this.name = 'xoshiro256**';
+            this.originalSeed = normalizeSeed(seed);
+            this.s = seedToWords64(this.originalSeed, 4);
         }
 
-        // --------------------------------------------------------
-        // BASIC GENERATION
-        // --------------------------------------------------------
-
         /**
-         * Generate a random float in [0, 1)
+         * Generate the next 64-bit output
+         * @returns {bigint} Unsigned 64-bit integer
          */
-        random() {
-            return this.generator.next();
+        nextBigInt() {
+            const s = this.s;
+            const result = (rotl64((s[1] * 5n) & MASK64, 7) * 9n) & MASK64;
+            const t = (s[1] << 17n) & MASK64;
+
+            s[2] ^= s[0];
+            s[3] ^= s[1];
+            s[1] ^= s[2];
+            s[0] ^= s[3];
+
+            s[2] ^= t;
+            s[3] = rotl64(s[3], 45);
+
+            return result;
         }
 
-        /**
-         * Generate a random 32-bit unsigned integer
-         */
-        randomInt() {
-            return this.generator.nextInt();
+        nextInt() {
+            return Number(this.nextBigInt() >> 32n);
+        }
+
+        next() {
+            return Number(this.nextBigInt() >> 11n) / 9007199254740992;
         }
 
         /**
-         * Generate a random float in [min, max)
+         * Jump function - equivalent to 2^128 calls to next()
+         * Useful for parallel streams
          */
-        float(min = 0, max = 1) {
-            return min + this.random() * (max - min);
+        jump() {
+            this._jumpWith(0x39abdc4529b1661ca9582618e03fc9aad5a61266f0c9392c180ec6d33cfd0aban);
         }
 
         /**
-         * Generate a random integer in [min, max] (inclusive)
+         * Long jump function - equivalent to 2^192 calls to next()
+         * Gives 2^64 starting points, each with 2^64 jump() streams
          */
-        int(min, max) {
-            min = Math.ceil(min);
-            max = Math.floor(max);
-            return Math.floor(this.random() * (max - min + 1)) + min;
+        longJump() {
+            this._jumpWith(0x39109bb02acbe63577710069854ee241c5004e441c522fb376e15d3efefdcbbfn);
         }
 
         /**
-         * Generate a random boolean with given probability of true
+         * Split into non-overlapping streams spaced 2^128 draws apart
+         * @param {number} count - Number of streams
+         * @returns {Xoshiro256SS[]}
          */
-        bool(probability = 0.5) {
-            return this.random() < probability;
+        split(count) {
+            return splitByJump(this, count);
         }
 
         /**
-         * Generate a random sign (-1 or 1)
+         * Skip ahead n draws in O(log n) using a jump polynomial
+         * @param {number|bigint} n - Number of draws to skip
          */
-        sign(probability = 0.5) {
-            return this.bool(probability) ? 1 : -1;
+        advance(n) {
+            const charPoly = linearCharPoly(this.name, 256, Xoshiro256SS._sampler);
+            this._jumpWith(jumpPolynomial(toSkipCount(n), charPoly, 256));
         }
 
-        // --------------------------------------------------------
-        // STATISTICAL DISTRIBUTIONS
-        // --------------------------------------------------------
+        static _sampler() {
+            const gen = new Xoshiro256SS('charpoly');
+            return () => {
+                const bit = Number(gen.s[0] & 1n);
+                gen.nextBigInt();
+                return bit;
+            };
+        }
 
-        /**
-         * Normal (Gaussian) distribution using Box-Muller transform
-         * @param {number} mean - Mean of the distribution
-         * @param {number} stdDev - Standard deviation
-         */
-        normal(mean = 0, stdDev = 1) {
-            if (this._hasSpareNormal) {
-                this._hasSpareNormal = false;
-                return this._spareNormal * stdDev + mean;
+        _jumpWith(poly) {
+            let s0 = 0n, s1 = 0n, s2 = 0n, s3 = 0n;
+
+            for (; poly > 0n; poly >>= 1n) {
+                if (poly & 1n) {
+                    s0 ^= this.s[0];
+                    s1 ^= this.s[1];
+                    s2 ^= this.s[2];
+                    s3 ^= this.s[3];
+                }
+                this.nextBigInt();
             }
 
-            let u, v, s;
-            do {
-                u = this.random() * 2 - 1;
-                v = this.random() * 2 - 1;
-                s = u * u + v * v;
-            } while (s >= 1 || s === 0);
+            this.s = [s0, s1, s2, s3];
+        }
 
-            const mul = Math.sqrt(-2 * Math.log(s) / s);
-            this._spareNormal = v * mul;
-            this._hasSpareNormal = true;
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            for (let i = 0; i < 4; i++) view.setBigUint64(offset + i * 8, this.s[i]);
+        }
 
-            return u * mul * stdDev + mean;
+        loadSnapshot(view, offset) {
+            for (let i = 0; i < 4; i++) this.s[i] = view.getBigUint64(offset + i * 8);
         }
 
-        /**
-         * Exponential distribution
-         * @param {number} lambda - Rate parameter (1/mean)
-         */
-        exponential(lambda = 1) {
-            return -Math.log(1 - this.random()) / lambda;
+        getState() {
+            return {
+                s: this.s.map(v => v.toString(16)),
+                originalSeed: this.originalSeed
+            };
         }
 
-        /**
-         * Poisson distribution
-         * @param {number} lambda - Average number of events
-         */
-        poisson(lambda) {
-            const L = Math.exp(-lambda);
-            let k = 0;
-            let p = 1;
+        setState(savedState) {
+            this.s = savedState.s.map(v => BigInt('0x' + v));
+            this.originalSeed = reviveSeed(savedState.originalSeed);
+        }
 
-            do {
-                k++;
-                p *= this.random();
-            } while (p > L);
+        reset() {
+            this.s = seedToWords64(this.originalSeed, 4);
+        }
 
-            return k - 1;
+        clone() {
+            const cloned = new Xoshiro256SS(this.originalSeed);
+            cloned.s = this.s.slice();
+            return cloned;
+        }
+    }
+
+    /**
+     * PCG64 (XSL-RR 128/64) - 64-bit output, 128-bit LCG state
+     * Period: 2^128, with 2^127 selectable streams
+     * Uses BigInt arithmetic; next() returns full 53-bit doubles
+     */
+    class PCG64 {
+        static MULTIPLIER = 0x2360ed051fc65da44385df649fccf645n;
+        static SNAPSHOT_BYTES = 16;
+
+        constructor(seed = Date.now(), sequence = 1) {
+            this.name = 'pcg64';
+            this.originalSeed = normalizeSeed(seed);
+            this.originalSequence = sequence;
+            this._seed();
+        }
+
+        _seed() {
+            this.srandom(seedToBigInt128(this.originalSeed), this.originalSequence);
         }
 
         /**
-         * Binomial distribution
-         * @param {number} n - Number of trials
-         * @param {number} p - Probability of success
+         * Seed like the reference pcg64_srandom_r(): initState and initSeq are
+         * used as given, not hashed. reset() still returns to the constructor seed
+         * @param {bigint} initState - 128-bit starting state
+         * @param {number|bigint} initSeq - Stream selector
          */
-        binomial(n, p) {
-            let successes = 0;
-            for (let i = 0; i < n; i++) {
-                if (this.random() < p) successes++;
-            }
-            return successes;
+        srandom(initState, initSeq) {
+            this.state = 0n;
+            this.inc = ((BigInt(initSeq) << 1n) | 1n) & MASK128;
+            this._step();
+            this.state = (this.state + (BigInt(initState) & MASK128)) & MASK128;
+            this._step();
+        }
+
+        _step() {
+            this.state = (this.state * PCG64.MULTIPLIER + this.inc) & MASK128;
         }
 
         /**
-         * Pareto distribution (power law)
-         * @param {number} alpha - Shape parameter
-         * @param {number} xm - Scale parameter (minimum value)
+         * Generate the next 64-bit output
+         * @returns {bigint} Unsigned 64-bit integer
          */
-        pareto(alpha = 1, xm = 1) {
-            return xm / Math.pow(1 - this.random(), 1 / alpha);
+        nextBigInt() {
+            this._step();
+            const xored = ((this.state >> 64n) ^ this.state) & MASK64;
+            const rot = this.state >> 122n;
+            return ((xored >> rot) | (xored << ((64n - rot) & 63n))) & MASK64;
+        }
+
+        nextInt() {
+            return Number(this.nextBigInt() >> 32n);
+        }
+
+        next() {
+            return Number(this.nextBigInt() >> 11n) / 9007199254740992;
         }
 
         /**
-         * Beta distribution
-         * @param {number} alpha - Shape parameter α
-         * @param {number} beta - Shape parameter β
+         * Skip ahead n draws in O(log n) using LCG arbitrary-stride advance
+         * @param {number|bigint} n - Number of draws to skip
          */
-        beta(alpha, beta) {
-            // Using Jöhnk's algorithm for alpha, beta < 1
-            // and rejection method otherwise
-            if (alpha <= 0 || beta <= 0) {
-                throw new Error('Alpha and beta must be positive');
-            }
-
-            const gamma1 = this.gamma(alpha, 1);
-            const gamma2 = this.gamma(beta, 1);
-            return gamma1 / (gamma1 + gamma2);
+        advance(n) {
+            this.state = lcgAdvance(this.state, PCG64.MULTIPLIER, this.inc, toSkipCount(n), 1n << 128n);
         }
 
         /**
-         * Gamma distribution
-         * @param {number} shape - Shape parameter (k or α)
-         * @param {number} scale - Scale parameter (θ)
+         * Split into streams using PCG stream selectors. Each child is seeded
+         * from the current state, like the constructor, on its own stream
+         * (sequence + 1 ... sequence + count)
+         * @param {number} count - Number of streams
+         * @returns {PCG64[]}
          */
-        gamma(shape, scale = 1) {
-            if (shape < 1) {
-                return this.gamma(1 + shape, scale) * Math.pow(this.random(), 1 / shape);
+        split(count) {
+            validateSplitCount(count);
+            const children = [];
+            for (let i = 1; i <= count; i++) {
+                const child = this.clone();
+                const sequence = BigInt(this.originalSequence) + BigInt(i);
+                child.originalSequence = typeof this.originalSequence === 'number' && Number.isSafeInteger(this.originalSequence + i)
+                    ? this.originalSequence + i
+                    : sequence;
+                child.inc = ((sequence << 1n) | 1n) & MASK128;
+                child.state = 0n;
+                child._step();
+                child.state = (child.state + this.state) & MASK128;
+                child._step();
+                children.push(child);
             }
+            return children;
+        }
 
-            const d = shape - 1 / 3;
-            const c = 1 / Math.sqrt(9 * d);
-
-            while (true) {
-                let x, v;
-                do {
-                    x = this.normal();
-                    v = 1 + c * x;
-                } while (v <= 0);
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setBigUint64(offset, this.state >> 64n);
+            view.setBigUint64(offset + 8, this.state);
+        }
 
-                v = v * v * v;
-                const u = this.random();
+        loadSnapshot(view, offset) {
+            this.state = (view.getBigUint64(offset) << 64n) | view.getBigUint64(offset + 8);
+        }
 
-                if (u < 1 - 0.0331 * (x * x) * (x * x)) {
+        getState() {
+            return {
+                state: this.state.toString(16),
+                inc: this.inc.toString(16),
+                originalSeed: this.originalSeed,
+                // BigInt sequences are stored as decimal strings to stay JSON-safe
+                originalSequence: typeof this.originalSequence === 'bigint'
+                    ? this.originalSequence.toString()
+                    : this.originalSequence
+            };
+        }
+
+        setState(savedState) {
+            this.state = BigInt('0x' + savedState.state);
+            this.inc = BigInt('0x' + savedState.inc);
+            this.originalSeed = reviveSeed(savedState.originalSeed);
+            this.originalSequence = savedState.originalSequence;
+        }
+
+        reset() {
+            this._seed();
+        }
+
+        clone() {
+            const cloned = new PCG64(this.originalSeed, this.originalSequence);
+            cloned.state = this.state;
+            cloned.inc = this.inc;
+            return cloned;
+        }
+    }
+
+    /**
+     * SplitMix64 - 64-bit output, 64-bit state
+     * Period: 2^64. Very fast to seed; commonly used to initialize other generators
+     */
+    class SplitMix64 {
+        static SNAPSHOT_BYTES = 8;
+
+        constructor(seed = Date.now()) {
+            this.name = 'splitmix64';
+            this.originalSeed = normalizeSeed(seed);
+            this.state = this._initialState();
+        }
+
+        _initialState() {
+            const h = seedToBigInt128(this.originalSeed);
+            return (h >> 64n) ^ (h & MASK64);
+        }
+
+        /**
+         * Generate the next 64-bit output
+         * @returns {bigint} Unsigned 64-bit integer
+         */
+        nextBigInt() {
+            this.state = (this.state + GOLDEN_GAMMA) & MASK64;
+            return mix64(this.state);
+        }
+
+        nextInt() {
+            return Number(this.nextBigInt() >> 32n);
+        }
+
+        next() {
+            return Number(this.nextBigInt() >> 11n) / 9007199254740992;
+        }
+
+        /**
+         * Skip ahead n draws in O(1) - the state is a Weyl sequence
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            this.state = (this.state + toSkipCount(n) * GOLDEN_GAMMA) & MASK64;
+        }
+
+        /**
+         * Split into non-overlapping streams by dividing the 2^64 period
+         * @param {number} count - Number of streams
+         * @returns {SplitMix64[]}
+         */
+        split(count) {
+            return splitByStride(this, count, 1n << 64n);
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setBigUint64(offset, this.state);
+        }
+
+        loadSnapshot(view, offset) {
+            this.state = view.getBigUint64(offset);
+        }
+
+        getState() {
+            return {
+                state: this.state.toString(16),
+                originalSeed: this.originalSeed
+            };
+        }
+
+        setState(savedState) {
+            this.state = BigInt('0x' + savedState.state);
+            this.originalSeed = reviveSeed(savedState.originalSeed);
+        }
+
+        reset() {
+            this.state = this._initialState();
+        }
+
+        clone() {
+            const cloned = new SplitMix64(this.originalSeed);
+            cloned.state = this.state;
+            return cloned;
+        }
+    }
+
+    /**
+     * ChaCha20 - Cryptographically strong stream cipher used as a generator
+     * (Bernstein's original variant: 256-bit key, 64-bit nonce, 64-bit block counter)
+     * Period: 2^68 words per key/nonce. Reduced-round ChaCha8/ChaCha12 are faster
+     * Outputs are unpredictable only if the key is secret and unguessable -
+     * use a random 256-bit key rather than a string seed for fairness-critical draws
+     */
+    class ChaCha20 {
+        static SNAPSHOT_BYTES = 76;
+
+        /**
+         * @param {*} seed - Any seed, hashed into a key (ignored when key is given)
+         * @param {number|bigint|Uint8Array} nonce - 64-bit nonce
+         * @param {number} rounds - 8, 12 or 20
+         * @param {Uint8Array|number[]} [key] - Raw key used as it is: 32 bytes or 8 32-bit words
+         */
+        constructor(seed = Date.now(), nonce = 0, rounds = 20, key) {
+            if (rounds !== 8 && rounds !== 12 && rounds !== 20) {
+                throw new Error('ChaCha rounds must be 8, 12 or 20');
+            }
+            this.name = `chacha${rounds}`;
+            this.rounds = rounds;
+            this.key = ChaCha20._keyWords(seed, key);
+            this.nonce = ChaCha20._nonceWords(nonce);
+            this.buffer = new Uint32Array(16);
+            this._input = new Uint32Array(16);
+            this.reset();
+        }
+
+        // A raw key is used as it is; the seed, like every other algorithm's, is
+        // hashed (to all 256 key bits). cyrb128 is not a cryptographic hash, so
+        // only a secret random raw key gives ChaCha's full strength
+        static _keyWords(seed, key) {
+            if (key !== undefined) {
+                const words = keyWords(key);
+                if (words.length !== 8) throw new Error('ChaCha key must be 32 bytes or 8 32-bit words');
+                return Uint32Array.from(words);
+            }
+            seed = normalizeSeed(seed);
+            return Uint32Array.from(seed instanceof HashedSeed ? seed.words : hashSeed(seed, 8));
+        }
+
+        static _nonceWords(nonce) {
+            if (nonce instanceof Uint8Array) {
+                if (nonce.length !== 8) throw new Error('ChaCha nonce must be 8 bytes');
+                const view = new DataView(nonce.buffer, nonce.byteOffset, 8);
+                return [view.getUint32(0, true), view.getUint32(4, true)];
+            }
+            const value = BigInt(nonce) & MASK64;
+            return [Number(value & 0xFFFFFFFFn), Number(value >> 32n)];
+        }
+
+        // Generate keystream block number (counterHi:counterLo) into the buffer
+        _block(counterLo, counterHi) {
+            const x = this._input;
+            x[0] = 0x61707865; x[1] = 0x3320646e; x[2] = 0x79622d32; x[3] = 0x6b206574;
+            x.set(this.key, 4);
+            x[12] = counterLo; x[13] = counterHi;
+            x[14] = this.nonce[0]; x[15] = this.nonce[1];
+
+            let x0 = x[0], x1 = x[1], x2 = x[2], x3 = x[3], x4 = x[4], x5 = x[5], x6 = x[6], x7 = x[7];
+            let x8 = x[8], x9 = x[9], x10 = x[10], x11 = x[11], x12 = x[12], x13 = x[13], x14 = x[14], x15 = x[15];
+
+            for (let i = 0; i < this.rounds; i += 2) {
+                // Column rounds
+                x0 = (x0 + x4) | 0; x12 ^= x0; x12 = (x12 << 16) | (x12 >>> 16);
+                x8 = (x8 + x12) | 0; x4 ^= x8; x4 = (x4 << 12) | (x4 >>> 20);
+                x0 = (x0 + x4) | 0; x12 ^= x0; x12 = (x12 << 8) | (x12 >>> 24);
+                x8 = (x8 + x12) | 0; x4 ^= x8; x4 = (x4 << 7) | (x4 >>> 25);
+
+                x1 = (x1 + x5) | 0; x13 ^= x1; x13 = (x13 << 16) | (x13 >>> 16);
+                x9 = (x9 + x13) | 0; x5 ^= x9; x5 = (x5 << 12) | (x5 >>> 20);
+                x1 = (x1 + x5) | 0; x13 ^= x1; x13 = (x13 << 8) | (x13 >>> 24);
+                x9 = (x9 + x13) | 0; x5 ^= x9; x5 = (x5 << 7) | (x5 >>> 25);
+
+                x2 = (x2 + x6) | 0; x14 ^= x2; x14 = (x14 << 16) | (x14 >>> 16);
+                x10 = (x10 + x14) | 0; x6 ^= x10; x6 = (x6 << 12) | (x6 >>> 20);
+                x2 = (x2 + x6) | 0; x14 ^= x2; x14 = (x14 << 8) | (x14 >>> 24);
+                x10 = (x10 + x14) | 0; x6 ^= x10; x6 = (x6 << 7) | (x6 >>> 25);
+
+                x3 = (x3 + x7) | 0; x15 ^= x3; x15 = (x15 << 16) | (x15 >>> 16);
+                x11 = (x11 + x15) | 0; x7 ^= x11; x7 = (x7 << 12) | (x7 >>> 20);
+                x3 = (x3 + x7) | 0; x15 ^= x3; x15 = (x15 << 8) | (x15 >>> 24);
+                x11 = (x11 + x15) | 0; x7 ^= x11; x7 = (x7 << 7) | (x7 >>> 25);
+
+                // Diagonal rounds
+                x0 = (x0 + x5) | 0; x15 ^= x0; x15 = (x15 << 16) | (x15 >>> 16);
+                x10 = (x10 + x15) | 0; x5 ^= x10; x5 = (x5 << 12) | (x5 >>> 20);
+                x0 = (x0 + x5) | 0; x15 ^= x0; x15 = (x15 << 8) | (x15 >>> 24);
+                x10 = (x10 + x15) | 0; x5 ^= x10; x5 = (x5 << 7) | (x5 >>> 25);
+
+                x1 = (x1 + x6) | 0; x12 ^= x1; x12 = (x12 << 16) | (x12 >>> 16);
+                x11 = (x11 + x12) | 0; x6 ^= x11; x6 = (x6 << 12) | (x6 >>> 20);
+                x1 = (x1 + x6) | 0; x12 ^= x1; x12 = (x12 << 8) | (x12 >>> 24);
+                x11 = (x11 + x12) | 0; x6 ^= x11; x6 = (x6 << 7) | (x6 >>> 25);
+
+                x2 = (x2 + x7) | 0; x13 ^= x2; x13 = (x13 << 16) | (x13 >>> 16);
+                x8 = (x8 + x13) | 0; x7 ^= x8; x7 = (x7 << 12) | (x7 >>> 20);
+                x2 = (x2 + x7) | 0; x13 ^= x2; x13 = (x13 << 8) | (x13 >>> 24);
+                x8 = (x8 + x13) | 0; x7 ^= x8; x7 = (x7 << 7) | (x7 >>> 25);
+
+                x3 = (x3 + x4) | 0; x14 ^= x3; x14 = (x14 << 16) | (x14 >>> 16);
+                x9 = (x9 + x14) | 0; x4 ^= x9; x4 = (x4 << 12) | (x4 >>> 20);
+                x3 = (x3 + x4) | 0; x14 ^= x3; x14 = (x14 << 8) | (x14 >>> 24);
+                x9 = (x9 + x14) | 0; x4 ^= x9; x4 = (x4 << 7) | (x4 >>> 25);
+            }
+
+            const out = this.buffer;
+            out[0] = x0 + x[0]; out[1] = x1 + x[1]; out[2] = x2 + x[2]; out[3] = x3 + x[3];
+            out[4] = x4 + x[4]; out[5] = x5 + x[5]; out[6] = x6 + x[6]; out[7] = x7 + x[7];
+            out[8] = x8 + x[8]; out[9] = x9 + x[9]; out[10] = x10 + x[10]; out[11] = x11 + x[11];
+            out[12] = x12 + x[12]; out[13] = x13 + x[13]; out[14] = x14 + x[14]; out[15] = x15 + x[15];
+        }
+
+        nextInt() {
+            if (this.index === 16) {
+                this._block(this.counterLo, this.counterHi);
+                this.counterLo = (this.counterLo + 1) >>> 0;
+                if (this.counterLo === 0) this.counterHi = (this.counterHi + 1) >>> 0;
+                this.index = 0;
+            }
+            return this.buffer[this.index++];
+        }
+
+        next() {
+            return this.nextInt() / 4294967296;
+        }
+
+        /**
+         * Current position in the keystream, in 32-bit words
+         * @returns {bigint}
+         */
+        tell() {
+            const counter = (BigInt(this.counterHi) << 32n) | BigInt(this.counterLo);
+            return counter * 16n - BigInt(16 - this.index);
+        }
+
+        /**
+         * Jump to an absolute position in the keystream in O(1)
+         * @param {number|bigint} position - Word index (the next nextInt() returns word `position`)
+         */
+        seek(position) {
+            const pos = toSkipCount(position) & ((1n << 68n) - 1n);
+            const block = pos >> 4n;
+            const offset = Number(pos & 15n);
+            if (offset === 0) {
+                // Leave the buffer empty; the block is generated on the next draw
+                this.counterLo = Number(block & 0xFFFFFFFFn);
+                this.counterHi = Number(block >> 32n);
+                this.index = 16;
+                return;
+            }
+            this._block(Number(block & 0xFFFFFFFFn), Number(block >> 32n));
+            const nextBlock = (block + 1n) & MASK64;
+            this.counterLo = Number(nextBlock & 0xFFFFFFFFn);
+            this.counterHi = Number(nextBlock >> 32n);
+            this.index = offset;
+        }
+
+        /**
+         * Skip ahead n draws in O(1) by seeking the block counter
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            this.seek(this.tell() + toSkipCount(n));
+        }
+
+        /**
+         * Split into streams using distinct nonces (nonce + 1 ... nonce + count)
+         * under the same key, each starting at position 0
+         * @param {number} count - Number of streams
+         * @returns {ChaCha20[]}
+         */
+        split(count) {
+            validateSplitCount(count);
+            const nonce = (BigInt(this.nonce[1]) << 32n) | BigInt(this.nonce[0]);
+            const children = [];
+            for (let i = 1; i <= count; i++) {
+                const child = this.clone();
+                child.nonce = ChaCha20._nonceWords(nonce + BigInt(i));
+                child.reset();
+                children.push(child);
+            }
+            return children;
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setUint32(offset, this.counterLo);
+            view.setUint32(offset + 4, this.counterHi);
+            view.setUint32(offset + 8, this.index);
+            for (let i = 0; i < 16; i++) view.setUint32(offset + 12 + i * 4, this.buffer[i]);
+        }
+
+        loadSnapshot(view, offset) {
+            this.counterLo = view.getUint32(offset);
+            this.counterHi = view.getUint32(offset + 4);
+            this.index = view.getUint32(offset + 8);
+            for (let i = 0; i < 16; i++) this.buffer[i] = view.getUint32(offset + 12 + i * 4);
+        }
+
+        getState() {
+            return {
+                key: Array.from(this.key),
+                nonce: this.nonce.slice(),
+                rounds: this.rounds,
+                position: this.tell().toString()
+            };
+        }
+
+        setState(savedState) {
+            this.key = Uint32Array.from(savedState.key);
+            this.nonce = savedState.nonce.slice();
+            this.rounds = savedState.rounds;
+            this.name = `chacha${this.rounds}`;
+            this.seek(BigInt(savedState.position));
+        }
+
+        reset() {
+            this.counterLo = 0;
+            this.counterHi = 0;
+            this.index = 16;
+        }
+
+        clone() {
+            const cloned = new ChaCha20(0, 0, this.rounds, this.key);
+            cloned.nonce = this.nonce.slice();
+            cloned.buffer.set(this.buffer);
+            cloned.counterLo = this.counterLo;
+            cloned.counterHi = this.counterHi;
+            cloned.index = this.index;
+            return cloned;
+        }
+    }
+
+    // High 32 bits of the 64-bit product a * b for uint32 a, b, computed exactly
+    function mulhi32(a, b) {
+        const low = (a & 0xFFFF) * b;
+        return Math.floor((Math.floor(a / 65536) * b + Math.floor(low / 65536)) / 65536);
+    }
+
+    /**
+     * Philox4x32-10 - Counter-based generator (Salmon et al., "Parallel Random
+     * Numbers: As Easy as 1, 2, 3", 2011). Each output is a pure function of
+     * (key, stream, index), so at(index) is O(1) and needs no stepping.
+     * Period: 2^66 words per key/stream
+     */
+    class Philox4x32 {
+        static SNAPSHOT_BYTES = 28;
+
+        /**
+         * @param {*} seed - Any seed, hashed into a key (ignored when key is given)
+         * @param {number|bigint} stream - 64-bit stream selector (upper half of the counter)
+         * @param {Uint8Array|number[]} [key] - Raw key used as it is: 8 bytes or 2 32-bit words
+         */
+        constructor(seed = Date.now(), stream = 0, key) {
+            this.name = 'philox';
+            this.key = Philox4x32._keyWords(seed, key);
+            this.stream = Philox4x32._streamWords(stream);
+            this.buffer = new Uint32Array(4);
+            this._scratch = new Uint32Array(4);
+            this.reset();
+        }
+
+        // A raw key is used as it is; the seed is hashed like every other algorithm's
+        static _keyWords(seed, key) {
+            if (key !== undefined) {
+                const words = keyWords(key);
+                if (words.length !== 2) throw new Error('Philox key must be 8 bytes or 2 32-bit words');
+                return words;
+            }
+            const [w] = seedToWords64(seed, 1);
+            return [Number(w & 0xFFFFFFFFn), Number(w >> 32n)];
+        }
+
+        static _streamWords(stream) {
+            const value = BigInt(stream) & MASK64;
+            return [Number(value & 0xFFFFFFFFn), Number(value >> 32n)];
+        }
+
+        // Encrypt counter (blockHi:blockLo, stream) into out
+        _block(blockLo, blockHi, out) {
+            let c0 = blockLo, c1 = blockHi, c2 = this.stream[0], c3 = this.stream[1];
+            let k0 = this.key[0], k1 = this.key[1];
+            for (let round = 0; round < 10; round++) {
+                const hi0 = mulhi32(0xD2511F53, c0);
+                const lo0 = Math.imul(0xD2511F53, c0) >>> 0;
+                const hi1 = mulhi32(0xCD9E8D57, c2);
+                const lo1 = Math.imul(0xCD9E8D57, c2) >>> 0;
+                c0 = (hi1 ^ c1 ^ k0) >>> 0;
+                c1 = lo1;
+                c2 = (hi0 ^ c3 ^ k1) >>> 0;
+                c3 = lo0;
+                k0 = (k0 + 0x9E3779B9) >>> 0;
+                k1 = (k1 + 0xBB67AE85) >>> 0;
+            }
+            out[0] = c0; out[1] = c1; out[2] = c2; out[3] = c3;
+        }
+
+        /**
+         * The index-th 32-bit output of this key/stream, in O(1).
+         * Pure: does not read or change the sequential position
+         * @param {number|bigint} index - Word index (0-based)
+         * @returns {number} Unsigned 32-bit integer
+         */
+        at(index) {
+            let blockLo, blockHi;
+            if (typeof index === 'number' && Number.isSafeInteger(index) && index >= 0) {
+                const block = Math.floor(index / 4);
+                blockLo = block % 4294967296;
+                blockHi = Math.floor(block / 4294967296);
+                index %= 4;
+            } else {
+                const i = toSkipCount(index);
+                const block = (i >> 2n) & MASK64;
+                blockLo = Number(block & 0xFFFFFFFFn);
+                blockHi = Number(block >> 32n);
+                index = Number(i & 3n);
+            }
+            this._block(blockLo, blockHi, this._scratch);
+            return this._scratch[index];
+        }
+
+        nextInt() {
+            if (this.index === 4) {
+                this._block(this.counterLo, this.counterHi, this.buffer);
+                this.counterLo = (this.counterLo + 1) >>> 0;
+                if (this.counterLo === 0) this.counterHi = (this.counterHi + 1) >>> 0;
+                this.index = 0;
+            }
+            return this.buffer[this.index++];
+        }
+
+        next() {
+            return this.nextInt() / 4294967296;
+        }
+
+        /**
+         * Current position in the stream, in 32-bit words
+         * @returns {bigint}
+         */
+        tell() {
+            const counter = (BigInt(this.counterHi) << 32n) | BigInt(this.counterLo);
+            return counter * 4n - BigInt(4 - this.index);
+        }
+
+        /**
+         * Jump to an absolute position in the stream in O(1)
+         * @param {number|bigint} position - Word index (the next nextInt() returns at(position))
+         */
+        seek(position) {
+            const pos = toSkipCount(position) & ((1n << 66n) - 1n);
+            const block = pos >> 2n;
+            this.counterLo = Number(block & 0xFFFFFFFFn);
+            this.counterHi = Number(block >> 32n);
+            this.index = 4;
+            const offset = Number(pos & 3n);
+            if (offset !== 0) {
+                this.nextInt();
+                this.index = offset;
+            }
+        }
+
+        /**
+         * Skip ahead n draws in O(1) by seeking the counter
+         * @param {number|bigint} n - Number of draws to skip
+         */
+        advance(n) {
+            this.seek(this.tell() + toSkipCount(n));
+        }
+
+        /**
+         * Split into streams using distinct stream selectors (stream + 1 ... stream + count)
+         * under the same key, each starting at position 0
+         * @param {number} count - Number of streams
+         * @returns {Philox4x32[]}
+         */
+        split(count) {
+            validateSplitCount(count);
+            const stream = (BigInt(this.stream[1]) << 32n) | BigInt(this.stream[0]);
+            const children = [];
+            for (let i = 1; i <= count; i++) {
+                children.push(new Philox4x32(0, stream + BigInt(i), this.key));
+            }
+            return children;
+        }
+
+        // Write/read the draw-dependent state at a byte offset (PRNG.checkpoint())
+        saveSnapshot(view, offset) {
+            view.setUint32(offset, this.counterLo);
+            view.setUint32(offset + 4, this.counterHi);
+            view.setUint32(offset + 8, this.index);
+            for (let i = 0; i < 4; i++) view.setUint32(offset + 12 + i * 4, this.buffer[i]);
+        }
+
+        loadSnapshot(view, offset) {
+            this.counterLo = view.getUint32(offset);
+            this.counterHi = view.getUint32(offset + 4);
+            this.index = view.getUint32(offset + 8);
+            for (let i = 0; i < 4; i++) this.buffer[i] = view.getUint32(offset + 12 + i * 4);
+        }
+
+        getState() {
+            return {
+                key: this.key.slice(),
+                stream: this.stream.slice(),
+                position: this.tell().toString()
+            };
+        }
+
+        setState(savedState) {
+            this.key = savedState.key.slice();
+            this.stream = savedState.stream.slice();
+            this.seek(BigInt(savedState.position));
+        }
+
+        reset() {
+            this.counterLo = 0;
+            this.counterHi = 0;
+            this.index = 4;
+        }
+
+        clone() {
+            const cloned = new Philox4x32(0, 0, this.key);
+            cloned.stream = this.stream.slice();
+            cloned.buffer.set(this.buffer);
+            cloned.counterLo = this.counterLo;
+            cloned.counterHi = this.counterHi;
+            cloned.index = this.index;
+            return cloned;
+        }
+    }
+
+    // ============================================================
+    // ALGORITHM REGISTRY
+    // ============================================================
+
+    /**
+     * Generator interface required by PRNG.
+     *
+     * A generator class is constructed as `new Generator(seed, options)`, where
+     * options is the object passed to the PRNG constructor (or use the `create`
+     * registration option to map options to other constructor arguments).
+     * Its instances must provide:
+     * - `name` {string} - the registered name or one of its aliases; stored in
+     *   PRNG.getState() and used to rebuild the generator in setState()/clone()
+     * - `next()` → float in [0, 1)
+     * - `nextInt()` → unsigned 32-bit integer
+     * - `getState()` → JSON-serializable snapshot of the full state
+     * - `setState(state)` - restore a snapshot from getState()
+     * - `reset()` - return to the state right after construction
+     * - `clone()` → independent copy at the current position
+     *
+     * Optional: `nextBigInt()` → unsigned 64-bit BigInt (used by randomBigInt()),
+     * `at(index)` → the index-th nextInt() output without changing state (used by at()).
+     *
+     * @typedef {Object} Generator
+     */
+
+    // Lower-cased name/alias -> { name, Generator }
+    const algorithmRegistry = new Map();
+
+    const REQUIRED_GENERATOR_METHODS = ['next', 'nextInt', 'getState', 'setState', 'reset', 'clone'];
+
+    /**
+     * Register a generator class so PRNG can use it by name
+     * @param {string} name - Canonical algorithm name
+     * @param {Function} Generator - Class implementing the generator interface
+     * @param {Object} [options]
+     * @param {string[]} [options.aliases] - Alternative names
+     * @param {function} [options.create] - Factory (seed, prngOptions) => generator;
+     *                                      defaults to `new Generator(seed, prngOptions)`
+     */
+    function registerAlgorithm(name, Generator, options = {}) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Algorithm name must be a non-empty string');
+        }
+        if (typeof Generator !== 'function') {
+            throw new Error('Generator must be a class or constructor function');
+        }
+        const missing = REQUIRED_GENERATOR_METHODS.filter(m => typeof Generator.prototype[m] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Generator for "${name}" is missing methods: ${missing.join(', ')}`);
+        }
+
+        const keys = [name, ...(options.aliases || [])].map(key => key.toLowerCase());
+        for (const key of keys) {
+            if (algorithmRegistry.has(key)) {
+                throw new Error(`Algorithm already registered: ${key}`);
+            }
+        }
+
+        const create = options.create || ((seed, prngOptions) => new Generator(seed, prngOptions));
+        const entry = { name, Generator, create };
+        for (const key of keys) {
+            algorithmRegistry.set(key, entry);
+        }
+    }
+
+    /**
+     * Look up a registered algorithm by name or alias
+     * @param {string} algorithm - Algorithm name
+     * @returns {{name: string, Generator: Function, create: function}|undefined}
+     */
+    function resolveAlgorithm(algorithm) {
+        return algorithmRegistry.get(String(algorithm).toLowerCase());
+    }
+
+    registerAlgorithm('mulberry32', Mulberry32, { aliases: ['mulberry'] });
+    registerAlgorithm('xoshiro128', Xoshiro128SS, { aliases: ['xoshiro128**', 'xoshiro'] });
+    registerAlgorithm('xorshift128', Xorshift128Plus, { aliases: ['xorshift128+', 'xorshift'] });
+    registerAlgorithm('pcg32', PCG32, {
+        aliases: ['pcg'],
+        create: (seed, options) => new PCG32(seed, options.stream ?? 1)
+    });
+    registerAlgorithm('pcg32-legacy', PCG32Legacy, {
+        create: (seed, options) => new PCG32Legacy(seed, options.stream ?? 1)
+    });
+    registerAlgorithm('sfc32', SFC32, { aliases: ['sfc'] });
+    registerAlgorithm('lcg', LCG, {
+        create: (seed, options) => new LCG(seed, options.a, options.c, options.m)
+    });
+    registerAlgorithm('xoshiro256', Xoshiro256SS, { aliases: ['xoshiro256**'] });
+    registerAlgorithm('pcg64', PCG64, {
+        create: (seed, options) => new PCG64(seed, options.stream ?? 1)
+    });
+    registerAlgorithm('splitmix64', SplitMix64, { aliases: ['splitmix'] });
+    registerAlgorithm('chacha20', ChaCha20, {
+        aliases: ['chacha'],
+        create: (seed, options) => new ChaCha20(seed, options.nonce ?? 0, 20, options.key)
+    });
+    registerAlgorithm('chacha12', ChaCha20, {
+        create: (seed, options) => new ChaCha20(seed, options.nonce ?? 0, 12, options.key)
+    });
+    registerAlgorithm('chacha8', ChaCha20, {
+        create: (seed, options) => new ChaCha20(seed, options.nonce ?? 0, 8, options.key)
+    });
+    registerAlgorithm('philox', Philox4x32, {
+        aliases: ['philox4x32', 'philox4x32-10'],
+        create: (seed, options) => new Philox4x32(seed, options.stream ?? 0, options.key)
+    });
+
+    /**
+     * Seed key for stream(), or null for seeds hashSeed() cannot encode
+     * (registered algorithms may accept seed types of their own)
+     * @param {*} seed - Seed given to setSeed()
+     * @returns {HashedSeed|null}
+     */
+    function streamKeyFor(seed) {
+        if (seed instanceof HashedSeed) return seed;
+        try {
+            return new HashedSeed(hashSeed(seed, 8));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Child seed key for stream() and split(), from the parent key and a name
+     * @param {HashedSeed} parentKey - Parent seed key
+     * @param {string} kind - 'stream' or 'split'
+     * @param {string|number} name - Path segment or child index
+     * @returns {HashedSeed}
+     */
+    function deriveStreamKey(parentKey, kind, name) {
+        return new HashedSeed(hashSeed([kind, parentKey.toJSON().hashedSeed, name], 8));
+    }
+
+    /**
+     * Options for a child seeded by stream() or fork(): a raw key would make
+     * every child repeat the parent's sequence, so children hash their seed
+     * @param {Object} options - Parent options
+     * @returns {Object}
+     */
+    function withoutKey(options) {
+        if (options.key === undefined) return options;
+        const { key, ...rest } = options;
+        return rest;
+    }
+
+    // ============================================================
+    // STATE SERIALIZATION
+    // ============================================================
+
+    // Format: sf<version>.<algorithm>.<base64url JSON payload>.<checksum>
+    const SERIALIZATION_VERSION = 1;
+
+    const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+    function bytesToBase64Url(bytes) {
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            const chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3));
+            for (let j = 0; j < chars; j++) out += BASE64URL[(n >>> (18 - j * 6)) & 63];
+        }
+        return out;
+    }
+
+    function base64UrlToBytes(str) {
+        if (str.length % 4 === 1) return null;
+        const bytes = new Uint8Array(Math.floor(str.length * 3 / 4));
+        let bits = 0, value = 0, pos = 0;
+        for (let i = 0; i < str.length; i++) {
+            const index = BASE64URL.indexOf(str[i]);
+            if (index === -1) return null;
+            value = (value << 6) | index;
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[pos++] = (value >>> bits) & 0xFF;
+            }
+        }
+        return bytes;
+    }
+
+    // JSON replacer/reviver for values getState() may hold that JSON cannot (BigInt stream selectors, byte nonces)
+    function stateReplacer(key, value) {
+        if (typeof value === 'bigint') return { $bigint: value.toString() };
+        if (value instanceof Uint8Array) return { $bytes: bytesToBase64Url(value) };
+        return value;
+    }
+
+    function stateReviver(key, value) {
+        if (value !== null && typeof value === 'object') {
+            if (typeof value.$bigint === 'string') return BigInt(value.$bigint);
+            if (typeof value.$bytes === 'string') return base64UrlToBytes(value.$bytes);
+        }
+        return value;
+    }
+
+    function stateChecksum(str) {
+        return cyrb128(str)[0].toString(16).padStart(8, '0');
+    }
+
+    // ============================================================
+    // SEED CODES
+    // ============================================================
+
+    // Word codes: one word per seed byte (big-endian, at least two) and a 4-digit checksum
+    const SEED_CODE_WORDS = (
+        'acorn alder amber arrow ash aspen aster badger bark basalt basil beach bear beech beetle ' +
+        'birch bison bloom boar bog bramble briar bronze brook canyon cave cedar cinder clay cliff ' +
+        'cloud clover cobalt comet copper coral cove crab crane creek crest crow dawn deer delta dove ' +
+        'drake dune dusk eagle elk elm ember falcon fawn fern ferret field finch fir fjord flame ' +
+        'flint fog forest fox frog frost gale garnet geyser glacier glade glen goat gorge grain ' +
+        'granite grove gull hail harbor hare hawk hazel heath hedge heron hill holly hornet iris ' +
+        'island ivy jade jasper jay juniper kelp kestrel kite lagoon lake lantern lark laurel leaf ' +
+        'lichen lily linden lion lotus lynx magpie mantis maple marsh marten meadow mesa mint mist ' +
+        'mole moon moose moss moth nectar nettle newt night north nutmeg oak oasis ocean olive onyx ' +
+        'opal orca orchid osprey otter owl oyster panda pansy parrot peach pearl pebble pelican ' +
+        'pepper petal pike pine plover plum pond poppy prairie puffin quail quartz quill quince rain ' +
+        'rapids raptor raven reed reef ridge river robin rook rose ruby rush rye sable saffron sage ' +
+        'salmon sand seal sequoia shade shell shoal shore shrew silver sky slate sleet snail snow ' +
+        'sorrel sparrow spring sprout spruce squid stag star stone stork storm stream sumac summit ' +
+        'sun swan swift tansy tapir teal tern thistle thorn thrush thunder thyme tide tiger timber ' +
+        'toad topaz torrent trout tulip tundra umber vale valley vine violet viper walnut walrus ' +
+        'warbler wasp wave whale wheat willow wind wolf wren yarrow yew yucca zebra zephyr zinc'
+    ).toUpperCase().split(' ');
+
+    // Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped
+    const CROCKFORD32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+    function seedCodeChecksum(bytes) {
+        return cyrb128(String.fromCharCode(...bytes))[0];
+    }
+
+    function seedBytes(seed) {
+        return [seed >>> 24, (seed >>> 16) & 0xFF, (seed >>> 8) & 0xFF, seed & 0xFF];
+    }
+
+    function toCrockford(value, length) {
+        let out = '';
+        for (let i = 0; i < length; i++) {
+            out = CROCKFORD32[value % 32] + out;
+            value = Math.floor(value / 32);
+        }
+        return out;
+    }
+
+    function bytesToCrockford(bytes) {
+        let out = '', bits = 0, value = 0;
+        for (const byte of bytes) {
+            value = ((value << 8) | byte) & 0xFFF;
+            bits += 8;
+            while (bits >= 5) {
+                bits -= 5;
+                out += CROCKFORD32[(value >>> bits) & 31];
+            }
+        }
+        if (bits > 0) out += CROCKFORD32[(value << (5 - bits)) & 31];
+        return out;
+    }
+
+    function crockfordToBytes(digits) {
+        const bytes = [];
+        let bits = 0, value = 0;
+        for (const digit of digits) {
+            value = ((value << 5) | digit) & 0xFFF;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((value >>> bits) & 0xFF);
+            }
+        }
+        return bytes;
+    }
+
+    // Crockford decoding is case-insensitive, ignores separators and reads O as 0 and I, L as 1
+    function parseCrockford(code, kind) {
+        const digits = [];
+        for (const char of code.toUpperCase().replace(/[\s-]+/g, '')) {
+            const digit = CROCKFORD32.indexOf(char === 'O' ? '0' : char === 'I' || char === 'L' ? '1' : char);
+            if (digit === -1) throw new Error(`Invalid ${kind}: unexpected character "${char}"`);
+            digits.push(digit);
+        }
+        return digits;
+    }
+
+    function groupCode(chars, size) {
+        return chars.match(new RegExp(`.{1,${size}}`, 'g')).join('-');
+    }
+
+    function editDistance(a, b) {
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= b.length; j++) {
+                next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            row = next;
+        }
+        return row[b.length];
+    }
+
+    function unknownWordError(word) {
+        let best = null, bestDistance = 3;
+        for (const candidate of SEED_CODE_WORDS) {
+            const distance = editDistance(word, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return new Error(`Invalid seed code: unknown word "${word}"${best ? ` (did you mean ${best}?)` : ''}`);
+    }
+
+    /**
+     * Encode an integer seed as a short code players can share, such as
+     * 'MOSS-RAVEN-1427' (format 'words') or '0000Z-D9CS4' (format 'base32').
+     * Both carry a checksum, so fromSeedCode() rejects mistyped codes
+     * @param {number} seed - Integer seed from 0 to 2^32 - 1
+     * @param {Object} [options] - { format: 'words' (default) or 'base32' }
+     * @returns {string}
+     */
+    function toSeedCode(seed, options = {}) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new Error('Seed codes encode integer seeds from 0 to 2^32 - 1; use toStateCode() for other seeds');
+        }
+        const format = options.format ?? 'words';
+        const bytes = seedBytes(seed);
+        if (format === 'words') {
+            while (bytes.length > 2 && bytes[0] === 0) bytes.shift();
+            const check = String(seedCodeChecksum(bytes) % 10000).padStart(4, '0');
+            return [...bytes.map(byte => SEED_CODE_WORDS[byte]), check].join('-');
+        }
+        if (format === 'base32') {
+            return groupCode(toCrockford(seed, 7) + toCrockford(seedCodeChecksum(bytes) & 0x7FFF, 3), 5);
+        }
+        throw new Error(`Unknown seed code format: ${format} (expected 'words' or 'base32')`);
+    }
+
+    /**
+     * Decode a toSeedCode() code back to its seed. Case and separators
+     * do not matter; typos are reported instead of producing another seed
+     * @param {string} code - Seed code
+     * @returns {number} The seed
+     */
+    function fromSeedCode(code) {
+        if (typeof code !== 'string') {
+            throw new Error('Seed code must be a string');
+        }
+        const parts = code.trim().toUpperCase().split(/[\s-]+/).filter(Boolean);
+        // Word codes have at least two alphabetic words before the digits; base32
+        // codes are one or two groups, and a group of digits alone is valid base32
+        const isWordCode = parts.length > 2 && /^\d+$/.test(parts[parts.length - 1]) &&
+            parts.slice(0, -1).every(part => /^[A-Z]+$/.test(part));
+        if (isWordCode) {
+            const check = parts.pop();
+            if (parts.length > 4 || check.length !== 4) {
+                throw new Error('Invalid seed code: expected 2 to 4 words and a 4-digit checksum');
+            }
+            const bytes = parts.map(word => {
+                const index = SEED_CODE_WORDS.indexOf(word);
+                if (index === -1) throw unknownWordError(word);
+                return index;
+            });
+            if (bytes.length < 2 || seedCodeChecksum(bytes) % 10000 !== Number(check)) {
+                throw new Error('Invalid seed code: checksum mismatch (check for typos)');
+            }
+            return bytes.reduce((seed, byte) => seed * 256 + byte, 0);
+        }
+        const digits = parseCrockford(code, 'seed code');
+        if (digits.length !== 10) {
+            throw new Error('Invalid seed code: expected words and a 4-digit checksum, or 10 base32 characters');
+        }
+        const seed = digits.slice(0, 7).reduce((n, digit) => n * 32 + digit, 0);
+        const check = digits.slice(7).reduce((n, digit) => n * 32 + digit, 0);
+        if (seed > 0xFFFFFFFF || (seedCodeChecksum(seedBytes(seed)) & 0x7FFF) !== check) {
+            throw new Error('Invalid seed code: checksum mismatch (check for typos)');
+        }
+        return seed;
+    }
+
+    // ============================================================
+    // PRNG WRAPPER WITH DISTRIBUTIONS AND UTILITIES
+    // ============================================================
+
+    // Methods onDraw() does not report: they manage state rather than draw values
+    const UNINSTRUMENTED_METHODS = new Set([
+        'constructor', 'setSeed', 'getState', 'setState', 'serialize', 'reset',
+        'clone', 'split', 'streams', 'stream', 'at', 'onDraw', 'toStateCode',
+        'checkpoint', 'rollback', 'hasCheckpoint', 'sampler'
+    ]);
+
+    // Stirling series coefficients B(2k) / (2k (2k - 1)) for logGamma()
+    const STIRLING_SERIES = [
+        8.333333333333333e-02, -2.777777777777778e-03, 7.936507936507937e-04,
+        -5.952380952380952e-04, 8.417508417508418e-04, -1.917526917526918e-03,
+        6.410256410256410e-03, -2.955065359477124e-02, 1.796443723688307e-01,
+        -1.39243221690590e+00
+    ];
+
+    /**
+     * log(Gamma(x)) for x > 0 by the Stirling series, shifted up to x >= 7 by
+     * the recurrence. Accurate to double precision even for large x, as the
+     * Poisson and binomial rejection tests need
+     */
+    function logGamma(x) {
+        if (x === 1 || x === 2) return 0;
+        const shift = x < 7 ? Math.floor(7 - x) : 0;
+        let x0 = x + shift;
+        const x2 = 1 / (x0 * x0);
+        let series = STIRLING_SERIES[9];
+        for (let k = 8; k >= 0; k--) series = series * x2 + STIRLING_SERIES[k];
+        let result = series / x0 + 0.5 * Math.log(2 * Math.PI) + (x0 - 0.5) * Math.log(x0) - x0;
+        for (let k = 0; k < shift; k++) {
+            x0 -= 1;
+            result -= Math.log(x0);
+        }
+        return result;
+    }
+
+    /**
+     * Ziggurat tables (Marsaglia & Tsang 2000): 128 layers for the normal
+     * distribution and 256 for the exponential. k holds the 32-bit acceptance
+     * thresholds, w the layer widths per integer unit and f the density at each edge
+     */
+    function buildZigguratTables() {
+        const kn = new Float64Array(128), wn = new Float64Array(128), fn = new Float64Array(128);
+        const ke = new Float64Array(256), we = new Float64Array(256), fe = new Float64Array(256);
+        const m1 = 2147483648, m2 = 4294967296;
+
+        let dn = 3.442619855899, tn = dn;
+        const vn = 9.91256303526217e-3;
+        let q = vn / Math.exp(-0.5 * dn * dn);
+        kn[0] = (dn / q) * m1;
+        kn[1] = 0;
+        wn[0] = q / m1;
+        wn[127] = dn / m1;
+        fn[0] = 1;
+        fn[127] = Math.exp(-0.5 * dn * dn);
+        for (let i = 126; i >= 1; i--) {
+            dn = Math.sqrt(-2 * Math.log(vn / dn + Math.exp(-0.5 * dn * dn)));
+            kn[i + 1] = (dn / tn) * m1;
+            tn = dn;
+            fn[i] = Math.exp(-0.5 * dn * dn);
+            wn[i] = dn / m1;
+        }
+
+        let de = 7.697117470131487, te = de;
+        const ve = 3.949659822581572e-3;
+        q = ve / Math.exp(-de);
+        ke[0] = (de / q) * m2;
+        ke[1] = 0;
+        we[0] = q / m2;
+        we[255] = de / m2;
+        fe[0] = 1;
+        fe[255] = Math.exp(-de);
+        for (let i = 254; i >= 1; i--) {
+            de = -Math.log(ve / de + Math.exp(-de));
+            ke[i + 1] = (de / te) * m2;
+            te = de;
+            fe[i] = Math.exp(-de);
+            we[i] = de / m2;
+        }
+        return { kn, wn, fn, ke, we, fe };
+    }
+
+    const ZIGGURAT = buildZigguratTables();
+    // Right edge of the base layer (start of the tail) of each ziggurat
+    const ZIGGURAT_NORMAL_R = 3.442619855899;
+    const ZIGGURAT_EXPONENTIAL_R = 7.697117470131487;
+
+    // Cholesky factors by covariance matrix, revalidated against a copy of the entries
+    const choleskyCache = new WeakMap();
+
+    /**
+     * Lower-triangular L with L * L^T = covariance, row-major in a Float64Array.
+     * Positive semi-definite matrices are accepted: zero pivots give zero columns
+     * @param {number[][]} covariance - Symmetric d x d matrix
+     * @param {number} d - Dimension
+     * @returns {Float64Array}
+     */
+    function choleskyFactor(covariance, d) {
+        if (!Array.isArray(covariance) || covariance.length !== d ||
+            !covariance.every(row => (Array.isArray(row) || ArrayBuffer.isView(row)) && row.length === d)) {
+            throw new Error(`Covariance matrix must be ${d} x ${d} to match the mean vector`);
+        }
+        const values = new Float64Array(d * d);
+        for (let i = 0; i < d; i++) {
+            for (let j = 0; j < d; j++) values[i * d + j] = covariance[i][j];
+        }
+        const cached = choleskyCache.get(covariance);
+        if (cached && cached.values.every((v, i) => v === values[i])) return cached.factor;
+
+        let scale = 0;
+        for (let i = 0; i < d; i++) {
+            for (let j = 0; j < d; j++) {
+                const a = values[i * d + j];
+                if (!Number.isFinite(a)) throw new Error('Covariance matrix entries must be finite numbers');
+                scale = Math.max(scale, Math.abs(a));
+            }
+        }
+        const tolerance = 1e-10 * scale;
+        for (let i = 0; i < d; i++) {
+            for (let j = 0; j < i; j++) {
+                if (Math.abs(values[i * d + j] - values[j * d + i]) > tolerance) {
+                    throw new Error(`Covariance matrix is not symmetric at [${i}][${j}]`);
+                }
+            }
+        }
+        const factor = new Float64Array(d * d);
+        for (let j = 0; j < d; j++) {
+            let pivot = values[j * d + j];
+            for (let k = 0; k < j; k++) pivot -= factor[j * d + k] ** 2;
+            if (pivot < -tolerance) {
+                throw new Error('Covariance matrix is not positive semi-definite');
+            }
+            const diagonal = pivot > tolerance ? Math.sqrt(pivot) : 0;
+            factor[j * d + j] = diagonal;
+            for (let i = j + 1; i < d; i++) {
+                let sum = values[i * d + j];
+                for (let k = 0; k < j; k++) sum -= factor[i * d + k] * factor[j * d + k];
+                if (diagonal > 0) {
+                    factor[i * d + j] = sum / diagonal;
+                } else if (Math.abs(sum) > tolerance) {
+                    throw new Error('Covariance matrix is not positive semi-definite');
+                }
+            }
+        }
+        choleskyCache.set(covariance, { values, factor });
+        return factor;
+    }
+
+    function validateBatchSize(n) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error('Count must be a non-negative integer');
+        }
+        return n;
+    }
+
+    function checkBatchOutput(n, out) {
+        validateBatchSize(n);
+        if (out.length < n) {
+            throw new Error(`Output array is too short: ${out.length} < ${n}`);
+        }
+    }
+
+    function validateFrameId(frameId) {
+        if (typeof frameId !== 'number' || !Number.isFinite(frameId)) {
+            throw new Error('Frame id must be a finite number');
+        }
+    }
+
+    /**
+     * Fixed-size history of PRNG snapshots for checkpoint()/rollback(), oldest
+     * first. Each slot in one preallocated buffer holds the frame id, draw count,
+     * Box-Muller spare and the generator's snapshot bytes. Generators without
+     * saveSnapshot()/loadSnapshot() fall back to storing getState() objects
+     */
+    class CheckpointRing {
+        constructor(generator, capacity) {
+            const bytes = generator.constructor.SNAPSHOT_BYTES;
+            this.fallback = !Number.isInteger(bytes) ||
+                typeof generator.saveSnapshot !== 'function' || typeof generator.loadSnapshot !== 'function';
+            this.capacity = capacity;
+            this.slotBytes = 32 + (this.fallback ? 0 : Math.ceil(bytes / 8) * 8);
+            this.view = new DataView(new ArrayBuffer(this.slotBytes * capacity));
+            this.states = this.fallback ? new Array(capacity) : null;
+            this.start = 0;
+            this.count = 0;
+        }
+
+        _slot(i) {
+            return (this.start + i) % this.capacity;
+        }
+
+        frameAt(i) {
+            return this.view.getFloat64(this._slot(i) * this.slotBytes);
+        }
+
+        // Index of the newest checkpoint for frameId, or -1
+        find(frameId) {
+            for (let i = this.count - 1; i >= 0; i--) {
+                if (this.frameAt(i) === frameId) return i;
+            }
+            return -1;
+        }
+
+        save(prng, frameId) {
+            // A frame at or before the newest one starts a new timeline
+            while (this.count > 0 && this.frameAt(this.count - 1) >= frameId) this.count--;
+            if (this.count === this.capacity) {
+                this.start = (this.start + 1) % this.capacity;
+                this.count--;
+            }
+            const slot = this._slot(this.count++);
+            const offset = slot * this.slotBytes;
+            this.view.setFloat64(offset, frameId);
+            this.view.setFloat64(offset + 8, prng.draws);
+            this.view.setFloat64(offset + 16, prng._hasSpareNormal ? prng._spareNormal : 0);
+            this.view.setUint8(offset + 24, prng._hasSpareNormal ? 1 : 0);
+            if (this.fallback) {
+                this.states[slot] = prng.generator.getState();
+            } else {
+                prng.generator.saveSnapshot(this.view, offset + 32);
+            }
+        }
+
+        // Restore checkpoint i and drop the newer ones
+        restore(prng, i) {
+            const slot = this._slot(i);
+            const offset = slot * this.slotBytes;
+            prng.draws = this.view.getFloat64(offset + 8);
+            prng._hasSpareNormal = this.view.getUint8(offset + 24) === 1;
+            prng._spareNormal = prng._hasSpareNormal ? this.view.getFloat64(offset + 16) : null;
+            if (this.fallback) {
+                prng.generator.setState(this.states[slot]);
+            } else {
+                prng.generator.loadSnapshot(this.view, offset + 32);
+            }
+            this.count = i + 1;
+        }
+    }
+
+    class PRNG {
+        /**
+         * Create a new PRNG instance
+         * @param {*} seed - Seed value: string, number, BigInt, byte data, array or plain object
+         *                    (see hashSeed())
+         * @param {string} algorithm - Algorithm name: 'mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg',
+         *                             'xoshiro256', 'pcg64', 'splitmix64', 'chacha20', 'chacha12', 'chacha8', 'philox',
+         *                             or any name added with registerAlgorithm()
+         * @param {Object} [options] - Generator options
+         * @param {number|bigint} [options.stream] - Stream selector for 'pcg32' and 'pcg64' (default 1) and 'philox' (default 0)
+         * @param {number} [options.a] - LCG multiplier
+         * @param {number} [options.c] - LCG increment
+         * @param {number} [options.m] - LCG modulus
+         * @param {number|bigint|Uint8Array} [options.nonce] - 64-bit nonce for 'chacha20', 'chacha12', 'chacha8'
+         * @param {Uint8Array|number[]} [options.key] - Raw key for 'chacha20', 'chacha12', 'chacha8' (32 bytes
+         *                                             or 8 words) and 'philox' (8 bytes or 2 words), used instead of the seed
+         * @param {number} [options.precision] - Bits of precision for random() and everything
+         *                                       built on it: 32 (default) or 53
+         * @param {string} [options.intMethod] - int() algorithm for spans up to 2^32:
+         *                                       'multiply' (default, legacy, slightly biased) or 'lemire' (unbiased)
+         * @param {string} [options.seeding] - How string and number seeds are hashed: 'legacy' (default,
+         *                                     per-algorithm, 12 and '12' alike) or 'canonical' (hashSeed())
+         * @param {number} [options.history] - Number of checkpoints checkpoint() keeps (default 64)
+         * @param {string} [options.normalMethod] - normal() algorithm: 'polar' (default, legacy) or 'ziggurat' (faster)
+         * @param {string} [options.exponentialMethod] - exponential() algorithm: 'inversion' (default, legacy)
+         *                                               or 'ziggurat' (faster)
+         */
+        constructor(seed = Date.now(), algorithm = 'xoshiro128', options = {}) {
+            this.setSeed(seed, algorithm, options);
+        }
+
+        /**
+         * Set or change the seed and optionally the algorithm and options
+         */
+        setSeed(seed, algorithm = this.generator?.name || 'xoshiro128', options = this.options || {}) {
+            const entry = resolveAlgorithm(algorithm);
+            if (!entry) {
+                throw new Error(`Unknown algorithm: ${algorithm}`);
+            }
+            const precision = options.precision ?? 32;
+            if (precision !== 32 && precision !== 53) {
+                throw new Error('Precision must be 32 or 53');
+            }
+            const intMethod = options.intMethod ?? 'multiply';
+            if (intMethod !== 'multiply' && intMethod !== 'lemire') {
+                throw new Error(`Unknown intMethod: ${intMethod}`);
+            }
+            const normalMethod = options.normalMethod ?? 'polar';
+            if (normalMethod !== 'polar' && normalMethod !== 'ziggurat') {
+                throw new Error(`Unknown normalMethod: ${normalMethod}`);
+            }
+            const exponentialMethod = options.exponentialMethod ?? 'inversion';
+            if (exponentialMethod !== 'inversion' && exponentialMethod !== 'ziggurat') {
+                throw new Error(`Unknown exponentialMethod: ${exponentialMethod}`);
+            }
+            const history = options.history ?? 64;
+            if (!Number.isInteger(history) || history < 1) {
+                throw new Error('History size must be a positive integer');
+            }
+            const seeding = options.seeding ?? 'legacy';
+            if (seeding !== 'legacy' && seeding !== 'canonical') {
+                throw new Error(`Unknown seeding: ${seeding}`);
+            }
+            if (seeding === 'canonical' && (typeof seed === 'string' || typeof seed === 'number')) {
+                seed = new HashedSeed(hashSeed(seed, 8));
+            }
+            if (options.key !== undefined) {
+                // Kept as plain words so getState() and serialize() stay JSON-safe
+                options = { ...options, key: keyWords(options.key) };
+            }
+            this.options = options;
+            this._fullPrecision = precision === 53;
+            this._lemireInts = intMethod === 'lemire';
+            this._zigguratNormals = normalMethod === 'ziggurat';
+            this._zigguratExponentials = exponentialMethod === 'ziggurat';
+            this.generator = entry.create(seed, options);
+            // Identifies the seed (or raw key) for stream(); independent of the draws made
+            this._streamKey = streamKeyFor(options.key === undefined ? seed : { key: options.key });
+            // Raw generator outputs consumed since seeding
+            this.draws = 0;
+            this._checkpoints = null;
+            
+            // Cache for normal distribution (Box-Muller)
+            this._spareNormal = null;
+            this._hasSpareNormal = false;
+        }
+
+        // --------------------------------------------------------
+        // BASIC GENERATION
+        // --------------------------------------------------------
+
+        /**
+         * Generate a random float in [0, 1)
+         * Uses random53() when the instance was created with { precision: 53 }
+         */
+        random() {
+            if (this._fullPrecision) return this.random53();
+            this.draws++;
+            return this.generator.next();
+        }
+
+        /**
+         * Generate a random float in [0, 1) with the full 53-bit mantissa
+         * Uses one 64-bit draw when available, otherwise combines two 32-bit draws
+         */
+        random53() {
+            if (typeof this.generator.nextBigInt === 'function') {
+                this.draws++;
+                return Number(this.generator.nextBigInt() >> 11n) / 9007199254740992;
+            }
+            this.draws += 2;
+            const hi = this.generator.nextInt() >>> 5;
+            const lo = this.generator.nextInt() >>> 6;
+            return (hi * 67108864 + lo) / 9007199254740992;
+        }
+
+        /**
+         * Random access: the value the index-th random() call returns from the
+         * start of the stream, computed in O(1) without reading or changing the
+         * current state. Requires a counter-based algorithm such as 'philox'
+         * @param {number|bigint} index - Draw index (0-based)
+         * @returns {number} Float in [0, 1)
+         */
+        at(index) {
+            if (typeof this.generator.at !== 'function') {
+                throw new Error(`Algorithm ${this.generator.name} does not support at(); use a counter-based algorithm such as 'philox'`);
+            }
+            if (!this._fullPrecision) {
+                return this.generator.at(index) / 4294967296;
+            }
+            const word = toSkipCount(index) * 2n;
+            const hi = this.generator.at(word) >>> 5;
+            const lo = this.generator.at(word + 1n) >>> 6;
+            return (hi * 67108864 + lo) / 9007199254740992;
+        }
+
+        /**
+         * Generate a random 32-bit unsigned integer
+         */
+        randomInt() {
+            this.draws++;
+            return this.generator.nextInt();
+        }
+
+        /**
+         * Generate a random 64-bit unsigned integer as a BigInt
+         * Uses the generator's native 64-bit output when available,
+         * otherwise combines two 32-bit draws (high word first)
+         */
+        randomBigInt() {
+            if (typeof this.generator.nextBigInt === 'function') {
+                this.draws++;
+                return this.generator.nextBigInt();
+            }
+            this.draws += 2;
+            const hi = BigInt(this.generator.nextInt());
+            const lo = BigInt(this.generator.nextInt());
+            return (hi << 32n) | lo;
+        }
+
+        /**
+         * Generate a random float in [min, max)
+         */
+        float(min = 0, max = 1) {
+            return min + this.random() * (max - min);
+        }
+
+        /**
+         * Generate a random integer in [min, max] (inclusive)
+         * Spans up to 2^32 use the instance's intMethod. The default 'multiply' is
+         * biased by up to a factor of 1 + span / 2^32; 'lemire' is exact. Larger
+         * spans (up to 2^53) always use unbiased rejection sampling
+         */
+        int(min, max) {
+            min = Math.ceil(min);
+            max = Math.floor(max);
+            const span = max - min + 1;
+
+            if (span > 4294967296) {
+                if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max) || span > 9007199254740992) {
+                    throw new Error('int() bounds must be safe integers spanning at most 2^53 values');
+                }
+                return min + this._belowLarge(span);
+            }
+            if (this._lemireInts) {
+                return min + this._below32(span);
+            }
+            return Math.floor(this.random() * span) + min;
+        }
+
+        /**
+         * Unbiased integer in [0, range) for range <= 2^32
+         * Lemire, "Fast Random Integer Generation in an Interval" (2019)
+         */
+        _below32(range) {
+            this.draws++;
+            if (range === 4294967296) return this.generator.nextInt();
+
+            let x = this.generator.nextInt();
+            let low = Math.imul(x, range) >>> 0;
+            if (low < range) {
+                const threshold = (4294967296 - range) % range;
+                while (low < threshold) {
+                    this.draws++;
+                    x = this.generator.nextInt();
+                    low = Math.imul(x, range) >>> 0;
+                }
+            }
+
+            // High 32 bits of the 64-bit product x * range, computed exactly
+            const high = Math.floor(x / 65536) * range;
+            const lowPart = (x & 0xFFFF) * range;
+            return Math.floor((high + Math.floor(lowPart / 65536)) / 65536);
+        }
+
+        /**
+         * Unbiased integer in [0, range) for 2^32 < range <= 2^53
+         * Draws two 32-bit values, masks to the needed bits and rejects out-of-range results
+         */
+        _belowLarge(range) {
+            const highBits = (range - 1).toString(2).length - 32;
+            const shift = 32 - highBits;
+            while (true) {
+                this.draws += 2;
+                const high = this.generator.nextInt() >>> shift;
+                const low = this.generator.nextInt();
+                const value = high * 4294967296 + low;
+                if (value < range) return value;
+            }
+        }
+
+        /**
+         * Generate a random BigInt in [min, max] (inclusive), for arbitrarily large ranges
+         * Unbiased: draws as many 32-bit words as needed and rejects out-of-range results
+         * @param {bigint|number} min - Lower bound
+         * @param {bigint|number} max - Upper bound
+         * @returns {bigint}
+         */
+        bigint(min, max) {
+            min = BigInt(min);
+            max = BigInt(max);
+            if (max < min) throw new Error('max must be >= min');
+
+            const span = max - min + 1n;
+            const bits = (span - 1n).toString(2).length;
+            const words = Math.ceil(bits / 32);
+            const excess = BigInt(words * 32 - bits);
+
+            while (true) {
+                this.draws += words;
+                let value = 0n;
+                for (let i = 0; i < words; i++) {
+                    value = (value << 32n) | BigInt(this.generator.nextInt());
+                }
+                value >>= excess;
+                if (value < span) return min + value;
+            }
+        }
+
+        /**
+         * Generate a random boolean with given probability of true
+         */
+        bool(probability = 0.5) {
+            return this.random() < probability;
+        }
+
+        /**
+         * Generate a random sign (-1 or 1)
+         */
+        sign(probability = 0.5) {
+            return this.bool(probability) ? 1 : -1;
+        }
+
+        // --------------------------------------------------------
+        // STATISTICAL DISTRIBUTIONS
+        // --------------------------------------------------------
+
+        /**
+         * Normal (Gaussian) distribution using the Marsaglia polar method, or the
+         * Ziggurat method with { normalMethod: 'ziggurat' }
+         * @param {number} mean - Mean of the distribution
+         * @param {number} stdDev - Standard deviation
+         */
+        normal(mean = 0, stdDev = 1) {
+            if (this._zigguratNormals) {
+                return this._zigguratNormal() * stdDev + mean;
+            }
+            if (this._hasSpareNormal) {
+                this._hasSpareNormal = false;
+                return this._spareNormal * stdDev + mean;
+            }
+
+            let u, v, s;
+            do {
+                u = this.random() * 2 - 1;
+                v = this.random() * 2 - 1;
+                s = u * u + v * v;
+            } while (s >= 1 || s === 0);
+
+            const mul = Math.sqrt(-2 * Math.log(s) / s);
+            this._spareNormal = v * mul;
+            this._hasSpareNormal = true;
+
+            return u * mul * stdDev + mean;
+        }
+
+        /**
+         * Exponential distribution by inversion, or the Ziggurat method with
+         * { exponentialMethod: 'ziggurat' }
+         * @param {number} lambda - Rate parameter (1/mean)
+         */
+        exponential(lambda = 1) {
+            if (this._zigguratExponentials) {
+                return this._zigguratExponential() / lambda;
+            }
+            return -Math.log(1 - this.random()) / lambda;
+        }
+
+        // Uniform in (0, 1) from one 32-bit draw, for the Ziggurat edge cases
+        _zigguratUniform() {
+            this.draws++;
+            return (this.generator.nextInt() + 0.5) / 4294967296;
+        }
+
+        /**
+         * Standard normal by the Ziggurat method (Marsaglia & Tsang's RNOR).
+         * One 32-bit draw in about 99% of cases
+         */
+        _zigguratNormal() {
+            const { kn, wn, fn } = ZIGGURAT;
+            for (;;) {
+                this.draws++;
+                const hz = this.generator.nextInt() | 0;
+                const iz = hz & 127;
+                const x = hz * wn[iz];
+                if (Math.abs(hz) < kn[iz]) return x;
+                if (iz === 0) {
+                    // Tail beyond R, by Marsaglia's method
+                    let tx, ty;
+                    do {
+                        tx = -Math.log(this._zigguratUniform()) / ZIGGURAT_NORMAL_R;
+                        ty = -Math.log(this._zigguratUniform());
+                    } while (ty + ty < tx * tx);
+                    return hz > 0 ? ZIGGURAT_NORMAL_R + tx : -ZIGGURAT_NORMAL_R - tx;
+                }
+                if (fn[iz] + this._zigguratUniform() * (fn[iz - 1] - fn[iz]) < Math.exp(-0.5 * x * x)) return x;
+            }
+        }
+
+        /**
+         * Standard exponential by the Ziggurat method (Marsaglia & Tsang's REXP)
+         */
+        _zigguratExponential() {
+            const { ke, we, fe } = ZIGGURAT;
+            for (;;) {
+                this.draws++;
+                const jz = this.generator.nextInt() >>> 0;
+                const iz = jz & 255;
+                const x = jz * we[iz];
+                if (jz < ke[iz]) return x;
+                if (iz === 0) return ZIGGURAT_EXPONENTIAL_R - Math.log(this._zigguratUniform());
+                if (fe[iz] + this._zigguratUniform() * (fe[iz - 1] - fe[iz]) < Math.exp(-x)) return x;
+            }
+        }
+
+        /**
+         * Poisson distribution. Knuth's product method below lambda = 30
+         * (O(lambda)), Hörmann's PTRS transformed rejection above (O(1))
+         * @param {number} lambda - Average number of events
+         */
+        poisson(lambda) {
+            if (lambda >= 30) return this._poissonPtrs(lambda);
+            const L = Math.exp(-lambda);
+            let k = 0;
+            let p = 1;
+
+            do {
+                k++;
+                p *= this.random();
+            } while (p > L);
+
+            return k - 1;
+        }
+
+        /**
+         * PTRS: transformed rejection with squeeze (Hörmann 1993), for lambda >= 10 (used from 30).
+         * About 1.2 iterations of two uniforms each on average
+         */
+        _poissonPtrs(lambda) {
+            const logLambda = Math.log(lambda);
+            const b = 0.931 + 2.53 * Math.sqrt(lambda);
+            const a = -0.059 + 0.02483 * b;
+            const logInvAlpha = Math.log(1.1239 + 1.1328 / (b - 3.4));
+            const vr = 0.9277 - 3.6224 / (b - 2);
+            for (;;) {
+                const u = this.random() - 0.5;
+                const v = this.random();
+                const us = 0.5 - Math.abs(u);
+                const k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+                if (us >= 0.07 && v <= vr) return k;
+                if (k < 0 || (us < 0.013 && v > us)) continue;
+                if (Math.log(v) + logInvAlpha - Math.log(a / (us * us) + b) <= -lambda + k * logLambda - logGamma(k + 1)) {
+                    return k;
+                }
+            }
+        }
+
+        /**
+         * Binomial distribution. Below 1000 trials, one Bernoulli trial each (O(n)),
+         * which keeps the original sequences where the loop is still cheap.
+         * From 1000 trials, inversion when n * min(p, 1 - p) < 30, otherwise BTPE
+         * @param {number} n - Number of trials
+         * @param {number} p - Probability of success
+         */
+        binomial(n, p) {
+            if (n >= 1000 && Number.isInteger(n)) {
+                if (p <= 0) return 0;
+                if (p >= 1) return n;
+                const r = Math.min(p, 1 - p);
+                const successes = n * r < 30 ? this._binomialInversion(n, r) : this._binomialBtpe(n, r);
+                return p > 0.5 ? n - successes : successes;
+            }
+            let successes = 0;
+            for (let i = 0; i < n; i++) {
+                if (this.random() < p) successes++;
+            }
+            return successes;
+        }
+
+        /**
+         * Binomial by sequential search from 0 (inversion), for p <= 0.5 and
+         * n * p < 30. Restarts with a fresh uniform if the search runs past
+         * the mean + 10 standard deviations, where rounding error accumulates
+         */
+        _binomialInversion(n, p) {
+            const q = 1 - p;
+            const q0 = Math.exp(n * Math.log(q));
+            const np = n * p;
+            const bound = Math.min(n, np + 10 * Math.sqrt(np * q + 1));
+            let x = 0, px = q0, u = this.random();
+            while (u > px) {
+                x++;
+                if (x > bound) {
+                    x = 0;
+                    px = q0;
+                    u = this.random();
+                } else {
+                    u -= px;
+                    px = (n - x + 1) * p * px / (x * q);
+                }
+            }
+            return x;
+        }
+
+        /**
+         * BTPE (Kachitvichyanukul & Schmeiser 1988): triangle, parallelogram and
+         * exponential-tail majorizing regions with squeezes, for p <= 0.5 and
+         * n * p >= 30. O(1) per value
+         */
+        _binomialBtpe(n, p) {
+            const q = 1 - p;
+            const nrq = n * p * q;
+            const fm = n * p + p;
+            const m = Math.floor(fm);
+            const p1 = Math.floor(2.195 * Math.sqrt(nrq) - 4.6 * q) + 0.5;
+            const xm = m + 0.5;
+            const xl = xm - p1;
+            const xr = xm + p1;
+            const c = 0.134 + 20.5 / (15.3 + m);
+            let a = (fm - xl) / (fm - xl * p);
+            const lambdaL = a * (1 + a / 2);
+            a = (xr - fm) / (xr * q);
+            const lambdaR = a * (1 + a / 2);
+            const p2 = p1 * (1 + 2 * c);
+            const p3 = p2 + c / lambdaL;
+            const p4 = p3 + c / lambdaR;
+            // Stirling correction term of log(k!) used in the final acceptance test
+            const stirling = x => {
+                const x2 = x * x;
+                return (13680 - (462 - (132 - (99 - 140 / x2) / x2) / x2) / x2) / x / 166320;
+            };
+
+            for (;;) {
+                const u = this.random() * p4;
+                let v = this.random();
+                let y;
+                if (u <= p1) {
+                    // Triangular center: accept immediately
+                    return Math.floor(xm - p1 * v + u);
+                }
+                if (u <= p2) {
+                    // Parallelograms
+                    const x = xl + (u - p1) / c;
+                    v = v * c + 1 - Math.abs(m - x + 0.5) / p1;
+                    if (v > 1) continue;
+                    y = Math.floor(x);
+                } else if (u <= p3) {
+                    // Left exponential tail
+                    y = Math.floor(xl + Math.log(v) / lambdaL);
+                    if (y < 0) continue;
+                    v = v * (u - p2) * lambdaL;
+                } else {
+                    // Right exponential tail
+                    y = Math.floor(xr - Math.log(v) / lambdaR);
+                    if (y > n) continue;
+                    v = v * (u - p3) * lambdaR;
+                }
+
+                const k = Math.abs(y - m);
+                if (k <= 20 || k >= nrq / 2 - 1) {
+                    // Explicit evaluation of f(y) / f(m) by recursion
+                    const s = p / q;
+                    const b = s * (n + 1);
+                    let f = 1;
+                    if (m < y) {
+                        for (let i = m + 1; i <= y; i++) f *= b / i - s;
+                    } else if (m > y) {
+                        for (let i = y + 1; i <= m; i++) f /= b / i - s;
+                    }
+                    if (v <= f) return y;
+                    continue;
+                }
+
+                // Squeeze on log(v), then the final test with Stirling's formula
+                const rho = (k / nrq) * ((k * (k / 3 + 0.625) + 0.16666666666666666) / nrq + 0.5);
+                const t = -k * k / (2 * nrq);
+                const logV = Math.log(v);
+                if (logV < t - rho) return y;
+                if (logV > t + rho) continue;
+                const x1 = y + 1, f1 = m + 1, z = n + 1 - m, w = n - y + 1;
+                const bound = xm * Math.log(f1 / x1) + (n - m + 0.5) * Math.log(z / w) +
+                    (y - m) * Math.log(w * p / (x1 * q)) + stirling(f1) + stirling(z) + stirling(x1) + stirling(w);
+                if (logV <= bound) return y;
+            }
+        }
+
+        /**
+         * Pareto distribution (power law)
+         * @param {number} alpha - Shape parameter
+         * @param {number} xm - Scale parameter (minimum value)
+         */
+        pareto(alpha = 1, xm = 1) {
+            return xm / Math.pow(1 - this.random(), 1 / alpha);
+        }
+
+        /**
+         * Beta distribution
+         * @param {number} alpha - Shape parameter α
+         * @param {number} beta - Shape parameter β
+         */
+        beta(alpha, beta) {
+            // Using Jöhnk's algorithm for alpha, beta < 1
+            // and rejection method otherwise
+            if (alpha <= 0 || beta <= 0) {
+                throw new Error('Alpha and beta must be positive');
+            }
+
+            const gamma1 = this.gamma(alpha, 1);
+            const gamma2 = this.gamma(beta, 1);
+            return gamma1 / (gamma1 + gamma2);
+        }
+
+        /**
+         * Gamma distribution
+         * @param {number} shape - Shape parameter (k or α)
+         * @param {number} scale - Scale parameter (θ)
+         */
+        gamma(shape, scale = 1) {
+            if (shape < 1) {
+                return this.gamma(1 + shape, scale) * Math.pow(this.random(), 1 / shape);
+            }
+
+            const d = shape - 1 / 3;
+            const c = 1 / Math.sqrt(9 * d);
+
+            while (true) {
+                let x, v;
+                do {
+                    x = this.normal();
+                    v = 1 + c * x;
+                } while (v <= 0);
+
+                v = v * v * v;
+                const u = this.random();
+
+                if (u < 1 - 0.0331 * (x * x) * (x * x)) {
+                    return d * v * scale;
+                }
+
+                if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
                     return d * v * scale;
                 }
+            }
+        }
+
+        /**
+         * Triangular distribution
+         * @param {number} min - Minimum value
+         * @param {number} max - Maximum value
+         * @param {number} mode - Most likely value
+         */
+        triangular(min = 0, max = 1, mode = 0.5) {
+            const u = this.random();
+            const fc = (mode - min) / (max - min);
+            
+            if (u < fc) {
+                return min + Math.sqrt(u * (max - min) * (mode - min));
+            } else {
+                return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+            }
+        }
+
+        /**
+         * Log-normal distribution
+         * @param {number} mu - Mean of the underlying normal distribution
+         * @param {number} sigma - Standard deviation of the underlying normal
+         */
+        logNormal(mu = 0, sigma = 1) {
+            return Math.exp(this.normal(mu, sigma));
+        }
+
+        /**
+         * Weibull distribution
+         * @param {number} scale - Scale parameter (λ)
+         * @param {number} shape - Shape parameter (k)
+         */
+        weibull(scale = 1, shape = 1) {
+            return scale * Math.pow(-Math.log(1 - this.random()), 1 / shape);
+        }
+
+        /**
+         * Cauchy distribution (heavy tails)
+         * @param {number} location - Location parameter
+         * @param {number} scale - Scale parameter
+         */
+        cauchy(location = 0, scale = 1) {
+            return location + scale * Math.tan(Math.PI * (this.random() - 0.5));
+        }
+
+        /**
+         * Geometric distribution - number of trials until first success
+         * @param {number} p - Probability of success (0 < p <= 1)
+         * @returns {number} Number of trials (1, 2, 3, ...)
+         */
+        geometric(p) {
+            if (p <= 0 || p > 1) {
+                throw new Error('Probability must be in (0, 1]');
+            }
+            return Math.ceil(Math.log(1 - this.random()) / Math.log(1 - p));
+        }
+
+        /**
+         * Zipf distribution - power law for rankings (word frequencies, city sizes)
+         * @param {number} n - Number of elements (max rank)
+         * @param {number} s - Exponent parameter (typically 1.0)
+         * @returns {number} Rank from 1 to n
+         */
+        zipf(n, s = 1) {
+            if (n < 1) throw new Error('n must be >= 1');
+            if (s < 0) throw new Error('s must be >= 0');
+            
+            // Calculate normalization constant (generalized harmonic number)
+            let hns = 0;
+            for (let i = 1; i <= n; i++) {
+                hns += 1 / Math.pow(i, s);
+            }
+            
+            const u = this.random();
+            let sum = 0;
+            for (let k = 1; k <= n; k++) {
+                sum += 1 / (Math.pow(k, s) * hns);
+                if (sum >= u) return k;
+            }
+            return n;
+        }
+
+        /**
+         * Chi-squared distribution
+         * @param {number} k - Degrees of freedom (positive integer)
+         * @returns {number} Chi-squared distributed value
+         */
+        chiSquared(k) {
+            if (k < 1) throw new Error('Degrees of freedom must be >= 1');
+            // Chi-squared is a special case of gamma distribution
+            return this.gamma(k / 2, 2);
+        }
+
+        /**
+         * Student's t-distribution
+         * @param {number} df - Degrees of freedom
+         * @returns {number} t-distributed value
+         */
+        studentT(df) {
+            if (df <= 0) throw new Error('Degrees of freedom must be positive');
+            // t = Z / sqrt(V/df) where Z ~ N(0,1) and V ~ chi-squared(df)
+            const z = this.normal();
+            const v = this.chiSquared(df);
+            return z / Math.sqrt(v / df);
+        }
+
+        /**
+         * Von Mises distribution - circular/directional distribution
+         * @param {number} mu - Mean direction in radians
+         * @param {number} kappa - Concentration parameter (0 = uniform, higher = more concentrated)
+         * @returns {number} Angle in radians [-π, π]
+         */
+        vonMises(mu = 0, kappa = 1) {
+            if (kappa < 0) throw new Error('Kappa must be non-negative');
+            
+            if (kappa === 0) {
+                // Uniform distribution on circle
+                return (this.random() * 2 - 1) * Math.PI;
+            }
+            
+            // Best-Fisher algorithm
+            const tau = 1 + Math.sqrt(1 + 4 * kappa * kappa);
+            const rho = (tau - Math.sqrt(2 * tau)) / (2 * kappa);
+            const r = (1 + rho * rho) / (2 * rho);
+            
+            while (true) {
+                const u1 = this.random();
+                const z = Math.cos(Math.PI * u1);
+                const f = (1 + r * z) / (r + z);
+                const c = kappa * (r - f);
+                
+                const u2 = this.random();
+                if (u2 < c * (2 - c) || u2 <= c * Math.exp(1 - c)) {
+                    const u3 = this.random();
+                    const theta = (u3 > 0.5) ? Math.acos(f) : -Math.acos(f);
+                    // Wrap into [-π, π) with a floored modulo; % keeps the sign of negative angles
+                    const shifted = theta + mu + Math.PI;
+                    return shifted - 2 * Math.PI * Math.floor(shifted / (2 * Math.PI)) - Math.PI;
+                }
+            }
+        }
 
-                if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
-                    return d * v * scale;
+        /**
+         * Hypergeometric distribution - sampling without replacement
+         * @param {number} N - Population size
+         * @param {number} K - Number of success states in population
+         * @param {number} n - Number of draws
+         * @returns {number} Number of successes in the sample
+         */
+        hypergeometric(N, K, n) {
+            if (N < 0 || K < 0 || n < 0) throw new Error('Parameters must be non-negative');
+            if (K > N) throw new Error('K cannot exceed N');
+            if (n > N) throw new Error('n cannot exceed N');
+            
+            let successes = 0;
+            let population = N;
+            let successesLeft = K;
+            
+            for (let i = 0; i < n; i++) {
+                if (this.random() < successesLeft / population) {
+                    successes++;
+                    successesLeft--;
                 }
+                population--;
+            }
+            
+            return successes;
+        }
+
+        // --------------------------------------------------------
+        // MULTIVARIATE DISTRIBUTIONS
+        // --------------------------------------------------------
+
+        /**
+         * Multivariate normal distribution: mean + L * z with z standard normal
+         * and L the Cholesky factor of the covariance matrix. The factor is cached
+         * per matrix object and recomputed if its entries change
+         * @param {number[]} mean - Mean vector of length d
+         * @param {number[][]} covariance - Symmetric positive semi-definite d x d matrix
+         * @returns {number[]} Vector of length d
+         */
+        multivariateNormal(mean, covariance) {
+            if (!(Array.isArray(mean) || ArrayBuffer.isView(mean)) || mean.length === 0 ||
+                !Array.prototype.every.call(mean, Number.isFinite)) {
+                throw new Error('Mean must be a non-empty array of finite numbers');
+            }
+            const d = mean.length;
+            const factor = choleskyFactor(covariance, d);
+            const z = new Array(d);
+            for (let i = 0; i < d; i++) z[i] = this.normal();
+            const result = new Array(d);
+            for (let i = 0; i < d; i++) {
+                let value = mean[i];
+                for (let k = 0; k <= i; k++) value += factor[i * d + k] * z[k];
+                result[i] = value;
+            }
+            return result;
+        }
+
+        /**
+         * Dirichlet distribution: random proportions that sum to 1
+         * @param {number[]} alphas - Positive concentration parameters
+         * @returns {number[]} Vector of the same length, summing to 1
+         */
+        dirichlet(alphas) {
+            if (!Array.isArray(alphas) || alphas.length === 0 ||
+                !alphas.every(a => typeof a === 'number' && a > 0 && Number.isFinite(a))) {
+                throw new Error('Alphas must be a non-empty array of positive numbers');
+            }
+            const values = alphas.map(alpha => this.gamma(alpha, 1));
+            const sum = values.reduce((a, b) => a + b, 0);
+            if (sum === 0) {
+                // Every draw underflowed, which takes tiny alphas. Their limit puts
+                // all the mass on one component, chosen in proportion to alpha
+                const winner = this.weightedPick(alphas.map((_, i) => i), alphas);
+                return alphas.map((_, i) => (i === winner ? 1 : 0));
+            }
+            return values.map(v => v / sum);
+        }
+
+        /**
+         * Multinomial distribution: how n trials fall into categories, by
+         * sequential conditional binomials
+         * @param {number} n - Number of trials
+         * @param {number[]} probabilities - Category probabilities (normalized, so weights work too)
+         * @returns {number[]} Count per category, summing to n
+         */
+        multinomial(n, probabilities) {
+            if (!Number.isInteger(n) || n < 0) {
+                throw new Error('n must be a non-negative integer');
+            }
+            if (!Array.isArray(probabilities) || probabilities.length === 0 ||
+                !probabilities.every(p => typeof p === 'number' && p >= 0 && Number.isFinite(p))) {
+                throw new Error('Probabilities must be a non-empty array of non-negative numbers');
+            }
+            let remainingProbability = probabilities.reduce((a, b) => a + b, 0);
+            if (remainingProbability === 0) {
+                throw new Error('Probabilities must not all be zero');
+            }
+            // The leftover trials go to the last category that can take them, so
+            // rounding in remainingProbability cannot give counts to a zero
+            let last = probabilities.length - 1;
+            while (probabilities[last] === 0) last--;
+            const counts = new Array(probabilities.length).fill(0);
+            let remaining = n;
+            for (let i = 0; i < last && remaining > 0; i++) {
+                if (probabilities[i] > 0) {
+                    counts[i] = this.binomial(remaining, Math.min(1, probabilities[i] / remainingProbability));
+                    remaining -= counts[i];
+                }
+                remainingProbability -= probabilities[i];
+            }
+            counts[last] += remaining;
+            return counts;
+        }
+
+        // --------------------------------------------------------
+        // PRECOMPUTED SAMPLERS
+        // --------------------------------------------------------
+
+        /**
+         * Build a sampler that precomputes its tables once, for distributions
+         * that are costly per call: 'zipf' { n, s } (rejection-inversion, O(1)),
+         * 'hypergeometric' { N, K, n } (CDF table, O(log n)) and 'discrete'
+         * { weights, values? } (alias table, O(1)). The sampler draws from this
+         * instance; bind() shares its tables with another PRNG
+         * @param {string} name - Distribution name
+         * @param {Object} params - Distribution parameters
+         * @returns {Sampler}
+         */
+        sampler(name, params = {}) {
+            const factory = Object.prototype.hasOwnProperty.call(SAMPLER_FACTORIES, name) ? SAMPLER_FACTORIES[name] : null;
+            if (!factory) {
+                throw new Error(`Unknown sampler: ${name} (expected one of ${Object.keys(SAMPLER_FACTORIES).join(', ')})`);
+            }
+            return new Sampler(this, name, factory(params));
+        }
+
+        // --------------------------------------------------------
+        // ARRAY UTILITIES
+        // --------------------------------------------------------
+
+        /**
+         * Shuffle an array in place (Fisher-Yates)
+         * @param {Array} array - Array to shuffle
+         * @returns {Array} The shuffled array
+         */
+        shuffle(array) {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = this.int(0, i);
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        }
+
+        /**
+         * Return a shuffled copy of an array
+         */
+        shuffled(array) {
+            return this.shuffle([...array]);
+        }
+
+        /**
+         * Pick a random element from an array
+         */
+        pick(array) {
+            if (array.length === 0) return undefined;
+            return array[this.int(0, array.length - 1)];
+        }
+
+        /**
+         * Pick n random elements from an array (without replacement)
+         */
+        sample(array, n) {
+            const shuffled = this.shuffled(array);
+            return shuffled.slice(0, Math.min(n, array.length));
+        }
+
+        /**
+         * Pick a random element with weights
+         * @param {Array} items - Array of items
+         * @param {Array<number>} weights - Array of weights (same length as items)
+         */
+        weightedPick(items, weights) {
+            if (items.length !== weights.length) {
+                throw new Error('Items and weights must have same length');
+            }
+
+            const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+            let random = this.random() * totalWeight;
+
+            for (let i = 0; i < items.length; i++) {
+                random -= weights[i];
+                if (random <= 0) return items[i];
             }
+
+            return items[items.length - 1];
+        }
+
+        /**
+         * Pick from items with weights specified as an object
+         * @param {Object} weightedItems - Object with items as keys and weights as values
+         */
+        weightedPickObject(weightedItems) {
+            const items = Object.keys(weightedItems);
+            const weights = Object.values(weightedItems);
+            return this.weightedPick(items, weights);
+        }
+
+        /**
+         * Generate an array of random values
+         * @param {number} length - Length of the array
+         * @param {function} generator - Generator function (defaults to random())
+         */
+        array(length, generator = () => this.random()) {
+            return Array.from({ length }, generator);
+        }
+
+        // --------------------------------------------------------
+        // BULK GENERATION
+        // --------------------------------------------------------
+        // Each fill method writes into the array it is given, allocates nothing,
+        // and produces the same values as calling the scalar method in a loop.
+
+        /**
+         * Fill a typed array with random values based on its type:
+         * Float32Array/Float64Array get floats in [0, 1), BigUint64Array/BigInt64Array
+         * get randomBigInt(), other integer arrays get randomInt() (truncated to the element size;
+         * Uint8ClampedArray is masked to its low byte rather than clamped to 255)
+         * @param {TypedArray} array - Array to fill
+         * @returns {TypedArray} The same array
+         */
+        fill(array) {
+            if (array instanceof Float64Array) return this.fillFloat64(array);
+            if (array instanceof Float32Array) return this.fillFloat32(array);
+            if (array instanceof BigUint64Array || array instanceof BigInt64Array) {
+                for (let i = 0; i < array.length; i++) array[i] = this.randomBigInt();
+                return array;
+            }
+            if (array instanceof Uint8ClampedArray) {
+                const generator = this.generator;
+                for (let i = 0; i < array.length; i++) array[i] = generator.nextInt() & 0xFF;
+                this.draws += array.length;
+                return array;
+            }
+            return this.fillUint32(array);
+        }
+
+        /**
+         * Fill an array with random 32-bit unsigned integers (randomInt())
+         * @param {Uint32Array|Array} array - Array to fill
+         * @returns {Uint32Array|Array} The same array
+         */
+        fillUint32(array) {
+            const generator = this.generator;
+            for (let i = 0; i < array.length; i++) array[i] = generator.nextInt();
+            this.draws += array.length;
+            return array;
+        }
+
+        /**
+         * Fill an array with random floats in [0, 1) (random())
+         * @param {Float64Array|Array} array - Array to fill
+         * @returns {Float64Array|Array} The same array
+         */
+        fillFloat64(array) {
+            for (let i = 0; i < array.length; i++) array[i] = this.random();
+            return array;
+        }
+
+        /**
+         * Fill a Float32Array with random floats in [0, 1) (random() rounded to float32;
+         * values that would round up to 1 are clamped to the largest float32 below 1)
+         * @param {Float32Array} array - Array to fill
+         * @returns {Float32Array} The same array
+         */
+        fillFloat32(array) {
+            for (let i = 0; i < array.length; i++) {
+                array[i] = this.random();
+                if (array[i] === 1) array[i] = 0.99999994;
+            }
+            return array;
+        }
+
+        /**
+         * Fill an array with random floats in [min, max) (float())
+         * @param {Float64Array|Float32Array|Array} array - Array to fill
+         * @param {number} min - Minimum value
+         * @param {number} max - Maximum value
+         * @returns {Float64Array|Float32Array|Array} The same array
+         */
+        fillFloat(array, min = 0, max = 1) {
+            for (let i = 0; i < array.length; i++) array[i] = this.float(min, max);
+            return array;
+        }
+
+        /**
+         * Fill an array with random integers in [min, max] (int())
+         * @param {TypedArray|Array} array - Array to fill
+         * @param {number} min - Minimum value
+         * @param {number} max - Maximum value
+         * @returns {TypedArray|Array} The same array
+         */
+        fillInt(array, min, max) {
+            for (let i = 0; i < array.length; i++) array[i] = this.int(min, max);
+            return array;
+        }
+
+        /**
+         * Fill an array with normally distributed values (normal())
+         * @param {Float64Array|Float32Array|Array} array - Array to fill
+         * @param {number} mean - Mean of the distribution
+         * @param {number} stdDev - Standard deviation
+         * @returns {Float64Array|Float32Array|Array} The same array
+         */
+        fillNormal(array, mean = 0, stdDev = 1) {
+            for (let i = 0; i < array.length; i++) array[i] = this.normal(mean, stdDev);
+            return array;
+        }
+
+        /**
+         * Fill an array with exponentially distributed values (exponential())
+         * @param {Float64Array|Float32Array|Array} array - Array to fill
+         * @param {number} lambda - Rate parameter (1/mean)
+         * @returns {Float64Array|Float32Array|Array} The same array
+         */
+        fillExponential(array, lambda = 1) {
+            for (let i = 0; i < array.length; i++) array[i] = this.exponential(lambda);
+            return array;
+        }
+
+        /**
+         * n normally distributed values (normal()) in a Float64Array
+         * @param {number} n - Number of values
+         * @param {number} mean - Mean of the distribution
+         * @param {number} stdDev - Standard deviation
+         * @param {Float64Array} [out] - Array to write the first n values of; allocated when omitted
+         * @returns {Float64Array} out, or the new array
+         */
+        normals(n, mean = 0, stdDev = 1, out = new Float64Array(validateBatchSize(n))) {
+            checkBatchOutput(n, out);
+            for (let i = 0; i < n; i++) out[i] = this.normal(mean, stdDev);
+            return out;
+        }
+
+        /**
+         * n exponentially distributed values (exponential()) in a Float64Array
+         * @param {number} n - Number of values
+         * @param {number} lambda - Rate parameter (1/mean)
+         * @param {Float64Array} [out] - Array to write the first n values of; allocated when omitted
+         * @returns {Float64Array} out, or the new array
+         */
+        exponentials(n, lambda = 1, out = new Float64Array(validateBatchSize(n))) {
+            checkBatchOutput(n, out);
+            for (let i = 0; i < n; i++) out[i] = this.exponential(lambda);
+            return out;
+        }
+
+        // --------------------------------------------------------
+        // GEOMETRIC UTILITIES
+        // --------------------------------------------------------
+
+        /**
+         * Random point in a circle (uniform distribution)
+         * @param {number} radius - Circle radius
+         * @returns {{x: number, y: number}}
+         */
+        pointInCircle(radius = 1) {
+            const r = radius * Math.sqrt(this.random());
+            const theta = this.random() * Math.PI * 2;
+            return {
+                x: r * Math.cos(theta),
+                y: r * Math.sin(theta)
+            };
+        }
+
+        /**
+         * Random point on a circle's edge
+         * @param {number} radius - Circle radius
+         */
+        pointOnCircle(radius = 1) {
+            const theta = this.random() * Math.PI * 2;
+            return {
+                x: radius * Math.cos(theta),
+                y: radius * Math.sin(theta)
+            };
+        }
+
+        /**
+         * Random point in a sphere (uniform distribution)
+         * @param {number} radius - Sphere radius
+         */
+        pointInSphere(radius = 1) {
+            const u = this.random();
+            const v = this.random();
+            const theta = u * 2 * Math.PI;
+            const phi = Math.acos(2 * v - 1);
+            const r = radius * Math.cbrt(this.random());
+            
+            return {
+                x: r * Math.sin(phi) * Math.cos(theta),
+                y: r * Math.sin(phi) * Math.sin(theta),
+                z: r * Math.cos(phi)
+            };
         }
 
         /**
-         * Triangular distribution
-         * @param {number} min - Minimum value
-         * @param {number} max - Maximum value
-         * @param {number} mode - Most likely value
+         * Random point on a sphere's surface
+         * @param {number} radius - Sphere radius
          */
-        triangular(min = 0, max = 1, mode = 0.5) {
+        pointOnSphere(radius = 1) {
             const u = this.random();
-            const fc = (mode - min) / (max - min);
+            const v = this.random();
+            const theta = u * 2 * Math.PI;
+            const phi = Math.acos(2 * v - 1);
             
-            if (u < fc) {
-                return min + Math.sqrt(u * (max - min) * (mode - min));
-            } else {
-                return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
-            }
+            return {
+                x: radius * Math.sin(phi) * Math.cos(theta),
+                y: radius * Math.sin(phi) * Math.sin(theta),
+                z: radius * Math.cos(phi)
+            };
         }
 
         /**
-         * Log-normal distribution
-         * @param {number} mu - Mean of the underlying normal distribution
-         * @param {number} sigma - Standard deviation of the underlying normal
+         * Random direction vector (2D)
          */
-        logNormal(mu = 0, sigma = 1) {
-            return Math.exp(this.normal(mu, sigma));
+        direction2D() {
+            const angle = this.random() * Math.PI * 2;
+            return { x: Math.cos(angle), y: Math.sin(angle) };
         }
 
         /**
-         * Weibull distribution
-         * @param {number} scale - Scale parameter (λ)
-         * @param {number} shape - Shape parameter (k)
+         * Random direction vector (3D)
          */
-        weibull(scale = 1, shape = 1) {
-            return scale * Math.pow(-Math.log(1 - this.random()), 1 / shape);
+        direction3D() {
+            const point = this.pointOnSphere(1);
+            return point;
         }
 
         /**
-         * Cauchy distribution (heavy tails)
-         * @param {number} location - Location parameter
-         * @param {number} scale - Scale parameter
+         * Random point in a rectangle
          */
-        cauchy(location = 0, scale = 1) {
-            return location + scale * Math.tan(Math.PI * (this.random() - 0.5));
+        pointInRect(x, y, width, height) {
+            return {
+                x: x + this.random() * width,
+                y: y + this.random() * height
+            };
         }
 
         /**
-         * Geometric distribution - number of trials until first success
-         * @param {number} p - Probability of success (0 < p <= 1)
-         * @returns {number} Number of trials (1, 2, 3, ...)
+         * Random point in a box (3D)
          */
-        geometric(p) {
-            if (p <= 0 || p > 1) {
-                throw new Error('Probability must be in (0, 1]');
-            }
-            return Math.ceil(Math.log(1 - this.random()) / Math.log(1 - p));
+        pointInBox(x, y, z, width, height, depth) {
+            return {
+                x: x + this.random() * width,
+                y: y + this.random() * height,
+                z: z + this.random() * depth
+            };
         }
 
+        // --------------------------------------------------------
+        // SPECIAL GENERATORS
+        // --------------------------------------------------------
+
         /**
-         * Zipf distribution - power law for rankings (word frequencies, city sizes)
-         * @param {number} n - Number of elements (max rank)
-         * @param {number} s - Exponent parameter (typically 1.0)
-         * @returns {number} Rank from 1 to n
+         * Generate a UUID v4
          */
-        zipf(n, s = 1) {
-            if (n < 1) throw new Error('n must be >= 1');
-            if (s < 0) throw new Error('s must be >= 0');
+        uuid() {
+            const hex = '0123456789abcdef';
+            let uuid = '';
             
-            // Calculate normalization constant (generalized harmonic number)
-            let hns = 0;
-            for (let i = 1; i <= n; i++) {
-                hns += 1 / Math.pow(i, s);
+            for (let i = 0; i < 36; i++) {
+                if (i === 8 || i === 13 || i === 18 || i === 23) {
+                    uuid += '-';
+                } else if (i === 14) {
+                    uuid += '4';
+                } else if (i === 19) {
+                    uuid += hex[(this.int(0, 15) & 0x3) | 0x8];
+                } else {
+                    uuid += hex[this.int(0, 15)];
+                }
             }
             
-            const u = this.random();
-            let sum = 0;
-            for (let k = 1; k <= n; k++) {
-                sum += 1 / (Math.pow(k, s) * hns);
-                if (sum >= u) return k;
-            }
-            return n;
+            return uuid;
         }
 
         /**
-         * Chi-squared distribution
-         * @param {number} k - Degrees of freedom (positive integer)
-         * @returns {number} Chi-squared distributed value
+         * Generate a random hex color
          */
-        chiSquared(k) {
-            if (k < 1) throw new Error('Degrees of freedom must be >= 1');
-            // Chi-squared is a special case of gamma distribution
-            return this.gamma(k / 2, 2);
+        color() {
+            return '#' + this.int(0, 0xFFFFFF).toString(16).padStart(6, '0');
         }
 
         /**
-         * Student's t-distribution
-         * @param {number} df - Degrees of freedom
-         * @returns {number} t-distributed value
+         * Generate a random RGB color
          */
-        studentT(df) {
-            if (df <= 0) throw new Error('Degrees of freedom must be positive');
-            // t = Z / sqrt(V/df) where Z ~ N(0,1) and V ~ chi-squared(df)
-            const z = this.normal();
-            const v = this.chiSquared(df);
-            return z / Math.sqrt(v / df);
+        colorRGB() {
+            return {
+                r: this.int(0, 255),
+                g: this.int(0, 255),
+                b: this.int(0, 255)
+            };
         }
 
         /**
-         * Von Mises distribution - circular/directional distribution
-         * @param {number} mu - Mean direction in radians
-         * @param {number} kappa - Concentration parameter (0 = uniform, higher = more concentrated)
-         * @returns {number} Angle in radians [-π, π]
+         * Generate a random HSL color
          */
-        vonMises(mu = 0, kappa = 1) {
-            if (kappa < 0) throw new Error('Kappa must be non-negative');
-            
-            if (kappa === 0) {
-                // Uniform distribution on circle
-                return (this.random() * 2 - 1) * Math.PI;
+        colorHSL(saturation = null, lightness = null) {
+            return {
+                h: this.int(0, 360),
+                s: saturation ?? this.int(0, 100),
+                l: lightness ?? this.int(0, 100)
+            };
+        }
+
+        /**
+         * Generate a random character from a set
+         * @param {string} charset - Characters to choose from
+         */
+        char(charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789') {
+            return charset[this.int(0, charset.length - 1)];
+        }
+
+        /**
+         * Generate a random string
+         * @param {number} length - String length
+         * @param {string} charset - Characters to choose from
+         */
+        string(length, charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789') {
+            let result = '';
+            for (let i = 0; i < length; i++) {
+                result += this.char(charset);
             }
-            
-            // Best-Fisher algorithm
-            const tau = 1 + Math.sqrt(1 + 4 * kappa * kappa);
-            const rho = (tau - Math.sqrt(2 * tau)) / (2 * kappa);
-            const r = (1 + rho * rho) / (2 * rho);
-            
-            while (true) {
-                const u1 = this.random();
-                const z = Math.cos(Math.PI * u1);
-                const f = (1 + r * z) / (r + z);
-                const c = kappa * (r - f);
-                
-                const u2 = this.random();
-                if (u2 < c * (2 - c) || u2 <= c * Math.exp(1 - c)) {
-                    const u3 = this.random();
-                    const theta = (u3 > 0.5) ? Math.acos(f) : -Math.acos(f);
-                    return ((theta + mu + Math.PI) % (2 * Math.PI)) - Math.PI;
-                }
+            return result;
+        }
+
+        // --------------------------------------------------------
+        // STATE MANAGEMENT
+        // --------------------------------------------------------
+
+        /**
+         * Skip ahead exactly n raw draws (calls to randomInt(), or nextBigInt()
+         * for 64-bit algorithms) without generating them.
+         * Uses the generator's advance() - O(log n) or O(1) for most algorithms -
+         * and falls back to stepping n times when the generator has none.
+         * Clears the cached spare normal value. Throws if draws would pass
+         * 2^53 - 1, past which it cannot count exactly; generator.advance() has no limit.
+         * @param {number|bigint} n - Number of draws to skip
+         * @returns {PRNG} this
+         */
+        advance(n) {
+            const count = toSkipCount(n);
+            if (BigInt(this.draws) + count > BigInt(Number.MAX_SAFE_INTEGER)) {
+                throw new Error(`advance(${count}) would take draws past 2^53 - 1; use rng.generator.advance() for larger skips`);
+            }
+            if (typeof this.generator.advance === 'function') {
+                this.generator.advance(count);
+            } else {
+                for (let i = count; i > 0n; i--) this.generator.nextInt();
             }
+            this.draws += Number(count);
+            this._spareNormal = null;
+            this._hasSpareNormal = false;
+            return this;
         }
 
         /**
-         * Hypergeometric distribution - sampling without replacement
-         * @param {number} N - Population size
-         * @param {number} K - Number of success states in population
-         * @param {number} n - Number of draws
-         * @returns {number} Number of successes in the sample
+         * Get the current state (for saving)
          */
-        hypergeometric(N, K, n) {
-            if (N < 0 || K < 0 || n < 0) throw new Error('Parameters must be non-negative');
-            if (K > N) throw new Error('K cannot exceed N');
-            if (n > N) throw new Error('n cannot exceed N');
-            
-            let successes = 0;
-            let population = N;
-            let successesLeft = K;
-            
-            for (let i = 0; i < n; i++) {
-                if (this.random() < successesLeft / population) {
-                    successes++;
-                    successesLeft--;
+        getState() {
+            return {
+                algorithm: this.generator.name,
+                options: { ...this.options },
+                generatorState: this.generator.getState(),
+                streamKey: this._streamKey,
+                draws: this.draws,
+                normalCache: {
+                    spare: this._spareNormal,
+                    hasSpare: this._hasSpareNormal
                 }
-                population--;
+            };
+        }
+
+        /**
+         * Restore from a saved state
+         */
+        setState(savedState) {
+            this.setSeed(0, savedState.algorithm, savedState.options || {}); // Initialize with correct algorithm
+            this.generator.setState(savedState.generatorState);
+            this._streamKey = reviveSeed(savedState.streamKey) || null;
+            this.draws = savedState.draws || 0;
+            this._spareNormal = savedState.normalCache.spare;
+            this._hasSpareNormal = savedState.normalCache.hasSpare;
+        }
+
+        /**
+         * Serialize the full state to a compact, URL-safe string carrying a
+         * format version, the algorithm name and a checksum.
+         * Restore it with PRNG.deserialize()
+         * @returns {string}
+         */
+        serialize() {
+            const payload = { s: this.generator.getState(), k: this._streamKey };
+            if (Object.keys(this.options).length > 0) payload.o = this.options;
+            if (this._hasSpareNormal) payload.n = this._spareNormal;
+            if (this.draws > 0) payload.d = this.draws;
+            const json = JSON.stringify(payload, stateReplacer);
+            // The registry name, not generator.name: 'xoshiro128**' and 'xorshift128+'
+            // are not URL-safe ('+' reads as a space in a query string)
+            const entry = resolveAlgorithm(this.generator.name);
+            const algorithm = encodeURIComponent(entry ? entry.name : this.generator.name);
+            const body = `sf${SERIALIZATION_VERSION}.${algorithm}.${bytesToBase64Url(new TextEncoder().encode(json))}`;
+            return `${body}.${stateChecksum(body)}`;
+        }
+
+        /**
+         * The full state as a case-insensitive Crockford base32 code with a
+         * checksum, for sharing where serialize()'s base64url is awkward
+         * (read aloud, typed by hand). Restore it with PRNG.fromStateCode()
+         * @returns {string}
+         */
+        toStateCode() {
+            const bytes = Array.from(this.serialize(), char => char.charCodeAt(0));
+            const check = seedCodeChecksum(bytes) & 0x7FFF;
+            return groupCode(bytesToCrockford(bytes) + toCrockford(check, 3), 5);
+        }
+
+        /**
+         * Restore a PRNG from a toStateCode() code
+         * @param {string} code - State code
+         * @returns {PRNG}
+         */
+        static fromStateCode(code) {
+            if (typeof code !== 'string') {
+                throw new Error('State code must be a string');
+            }
+            const digits = parseCrockford(code, 'state code');
+            const check = digits.splice(-3).reduce((n, digit) => n * 32 + digit, 0);
+            const bytes = crockfordToBytes(digits);
+            if (digits.length === 0 || (seedCodeChecksum(bytes) & 0x7FFF) !== check) {
+                throw new Error('Invalid state code: checksum mismatch (check for typos)');
+            }
+            return PRNG.deserialize(String.fromCharCode(...bytes));
+        }
+
+        /**
+         * Restore a PRNG from a serialize() string
+         * @param {string} str - Serialized state
+         * @returns {PRNG}
+         */
+        static deserialize(str) {
+            if (typeof str !== 'string' || !/^sf\d+\./.test(str)) {
+                throw new Error('Invalid serialized state: not a SeedForge state string');
+            }
+            const parts = str.split('.');
+            const version = Number(parts[0].slice(2));
+            if (version !== SERIALIZATION_VERSION) {
+                throw new Error(`Unsupported serialized state version ${version} (expected ${SERIALIZATION_VERSION})`);
             }
-            
-            return successes;
+            if (parts.length < 4) {
+                throw new Error('Invalid serialized state: missing fields');
+            }
+            const checksum = parts.pop();
+            const body = parts.join('.');
+            if (stateChecksum(body) !== checksum) {
+                throw new Error('Invalid serialized state: checksum mismatch (data is corrupted)');
+            }
+            let algorithm;
+            try {
+                algorithm = decodeURIComponent(parts.slice(1, -1).join('.'));
+            } catch (e) {
+                throw new Error('Invalid serialized state: malformed algorithm name');
+            }
+            if (!resolveAlgorithm(algorithm)) {
+                throw new Error(`Serialized state uses unknown algorithm: ${algorithm}`);
+            }
+            const bytes = base64UrlToBytes(parts[parts.length - 1]);
+            let payload;
+            try {
+                payload = JSON.parse(new TextDecoder().decode(bytes), stateReviver);
+            } catch (e) {
+                payload = null;
+            }
+            if (payload === null || typeof payload !== 'object' || payload.s === undefined) {
+                throw new Error('Invalid serialized state: payload could not be decoded');
+            }
+            const rng = new PRNG(0, algorithm, payload.o || {});
+            rng.generator.setState(payload.s);
+            rng._streamKey = reviveSeed(payload.k) || null;
+            rng.draws = payload.d || 0;
+            if (payload.n !== undefined) {
+                rng._spareNormal = payload.n;
+                rng._hasSpareNormal = true;
+            }
+            return rng;
         }
 
-        // --------------------------------------------------------
-        // ARRAY UTILITIES
-        // --------------------------------------------------------
+        /**
+         * Reset to initial seed
+         */
+        reset() {
+            this.generator.reset();
+            this.draws = 0;
+            this._spareNormal = null;
+            this._hasSpareNormal = false;
+        }
 
         /**
-         * Shuffle an array in place (Fisher-Yates)
-         * @param {Array} array - Array to shuffle
-         * @returns {Array} The shuffled array
+         * Clone this PRNG instance
          */
-        shuffle(array) {
-            for (let i = array.length - 1; i > 0; i--) {
-                const j = this.int(0, i);
-                [array[i], array[j]] = [array[j], array[i]];
+        clone() {
+            const cloned = new PRNG(0, this.generator.name, this.options);
+            cloned.generator = this.generator.clone();
+            cloned._streamKey = this._streamKey;
+            cloned.draws = this.draws;
+            cloned._spareNormal = this._spareNormal;
+            cloned._hasSpareNormal = this._hasSpareNormal;
+            return cloned;
+        }
+
+        /**
+         * Split into count independent generators whose sequences do not overlap,
+         * using the algorithm's best method (jump, stream selector or period
+         * partitioning). sfc32 has none and seeds children from a hash, so its
+         * streams are only very unlikely to overlap, not guaranteed disjoint.
+         * The parent is left untouched and keeps its own stream
+         * @param {number} count - Number of streams
+         * @returns {PRNG[]}
+         */
+        split(count) {
+            if (typeof this.generator.split !== 'function') {
+                throw new Error(`Algorithm ${this.generator.name} does not support split(); use fork() instead`);
             }
-            return array;
+            return this.generator.split(count).map((generator, i) => {
+                const child = new PRNG(0, this.generator.name, this.options);
+                child.generator = generator;
+                child._streamKey = this._streamKey && deriveStreamKey(this._streamKey, 'split', i);
+                return child;
+            });
         }
 
         /**
-         * Return a shuffled copy of an array
+         * Alias of split()
+         * @param {number} count - Number of streams
+         * @returns {PRNG[]}
          */
-        shuffled(array) {
-            return this.shuffle([...array]);
+        streams(count) {
+            return this.split(count);
         }
 
         /**
-         * Pick a random element from an array
+         * Named substream derived only from this generator's seed and the path,
+         * so it does not consume or depend on this generator's draws. Segments
+         * are separated by '/'; rng.stream('a/b') equals rng.stream('a').stream('b')
+         * @param {string|string[]} path - Path such as 'world/terrain/chunk:3,4', or an array of segments
+         * @returns {PRNG} New generator with the same algorithm and options
          */
-        pick(array) {
-            if (array.length === 0) return undefined;
-            return array[this.int(0, array.length - 1)];
+        stream(path) {
+            if (!this._streamKey) {
+                throw new Error('stream() needs a seed that Utils.hashSeed() accepts; this generator has none');
+            }
+            const segments = Array.isArray(path) ? path : String(path).split('/');
+            if (segments.length === 0 || segments.some(segment => typeof segment !== 'string' || segment.length === 0)) {
+                throw new Error(`Invalid stream path: ${path}`);
+            }
+            const key = segments.reduce((parentKey, segment) => deriveStreamKey(parentKey, 'stream', segment), this._streamKey);
+            return new PRNG(key, this.generator.name, withoutKey(this.options));
         }
 
         /**
-         * Pick n random elements from an array (without replacement)
+         * Create a child PRNG with a derived seed
+         * Useful for creating reproducible sub-generators.
+         * Draws from this generator, so later values shift when a fork is added;
+         * use stream() for children that must stay stable
          */
-        sample(array, n) {
-            const shuffled = this.shuffled(array);
-            return shuffled.slice(0, Math.min(n, array.length));
+        fork(label = '') {
+            const derivedSeed = this.generator.name + '_' + this.randomInt() + '_' + label;
+            return new PRNG(derivedSeed, this.generator.name, withoutKey(this.options));
         }
 
+        // --------------------------------------------------------
+        // CHECKPOINTS
+        // --------------------------------------------------------
+
         /**
-         * Pick a random element with weights
-         * @param {Array} items - Array of items
-         * @param {Array<number>} weights - Array of weights (same length as items)
+         * Save the current state under frameId in a fixed-size history ring
+         * (options.history checkpoints, default 64; the oldest is overwritten).
+         * Frame ids must increase; checkpointing a frame at or before the newest
+         * one discards the newer checkpoints first. After the first call this
+         * allocates nothing (BigInt-based 64-bit algorithms aside).
+         * setSeed() and setState() clear the history
+         * @param {number} frameId - Frame number
+         * @returns {PRNG} this
          */
-        weightedPick(items, weights) {
-            if (items.length !== weights.length) {
-                throw new Error('Items and weights must have same length');
+        checkpoint(frameId) {
+            validateFrameId(frameId);
+            if (!this._checkpoints) {
+                this._checkpoints = new CheckpointRing(this.generator, this.options.history ?? 64);
             }
+            this._checkpoints.save(this, frameId);
+            return this;
+        }
 
-            const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-            let random = this.random() * totalWeight;
-
-            for (let i = 0; i < items.length; i++) {
-                random -= weights[i];
-                if (random <= 0) return items[i];
+        /**
+         * Restore the state saved by checkpoint(frameId), including the draw count
+         * and the cached spare normal. Checkpoints newer than frameId are dropped;
+         * frameId itself is kept so it can be rolled back to again
+         * @param {number} frameId - Frame number
+         * @returns {PRNG} this
+         */
+        rollback(frameId) {
+            const index = this._checkpoints ? this._checkpoints.find(frameId) : -1;
+            if (index === -1) {
+                throw new Error(`No checkpoint for frame ${frameId}`);
             }
+            this._checkpoints.restore(this, index);
+            return this;
+        }
 
-            return items[items.length - 1];
+        /**
+         * Whether rollback(frameId) would succeed
+         * @param {number} frameId - Frame number
+         * @returns {boolean}
+         */
+        hasCheckpoint(frameId) {
+            return this._checkpoints !== null && this._checkpoints.find(frameId) !== -1;
         }
 
         /**
-         * Pick from items with weights specified as an object
-         * @param {Object} weightedItems - Object with items as keys and weights as values
+         * Checkpoint several generators under the same frame id
+         * @param {PRNG[]} prngs - Generators to checkpoint
+         * @param {number} frameId - Frame number
          */
-        weightedPickObject(weightedItems) {
-            const items = Object.keys(weightedItems);
-            const weights = Object.values(weightedItems);
-            return this.weightedPick(items, weights);
+        static checkpointAll(prngs, frameId) {
+            validateFrameId(frameId);
+            for (const prng of prngs) prng.checkpoint(frameId);
         }
 
         /**
-         * Generate an array of random values
-         * @param {number} length - Length of the array
-         * @param {function} generator - Generator function (defaults to random())
+         * Roll several generators back to the same frame. Atomic: if any of them
+         * lacks the checkpoint, none is changed
+         * @param {PRNG[]} prngs - Generators to roll back
+         * @param {number} frameId - Frame number
          */
-        array(length, generator = () => this.random()) {
-            return Array.from({ length }, generator);
+        static rollbackAll(prngs, frameId) {
+            const missing = prngs.findIndex(prng => !prng.hasCheckpoint(frameId));
+            if (missing !== -1) {
+                throw new Error(`No checkpoint for frame ${frameId} on generator ${missing}`);
+            }
+            for (const prng of prngs) prng.rollback(frameId);
         }
 
         // --------------------------------------------------------
-        // GEOMETRIC UTILITIES
+        // INSTRUMENTATION
         // --------------------------------------------------------
 
         /**
-         * Random point in a circle (uniform distribution)
-         * @param {number} radius - Circle radius
-         * @returns {{x: number, y: number}}
+         * Listen to each high-level call on this instance (int, normal, shuffle...).
+         * The listener gets { method, args, result, draws } once per outermost call,
+         * where draws is the number of raw values it consumed; calls made inside
+         * it (normal() -> random()) are folded into the outer call.
+         * Listeners stay with this instance and are not copied by clone() or fork()
+         * @param {function} listener - Called after each call
+         * @returns {function} Removes the listener
          */
-        pointInCircle(radius = 1) {
-            const r = radius * Math.sqrt(this.random());
-            const theta = this.random() * Math.PI * 2;
-            return {
-                x: r * Math.cos(theta),
-                y: r * Math.sin(theta)
+        onDraw(listener) {
+            if (typeof listener !== 'function') {
+                throw new Error('onDraw listener must be a function');
+            }
+            if (!this._drawListeners) {
+                this._drawListeners = [];
+                this._instrumentMethods();
+            }
+            this._drawListeners.push(listener);
+            return () => {
+                if (!this._drawListeners) return;
+                const index = this._drawListeners.indexOf(listener);
+                if (index !== -1) this._drawListeners.splice(index, 1);
+                if (this._drawListeners.length === 0) {
+                    // Drop the wrappers so the prototype methods run at full speed again
+                    for (const method of this._instrumented) delete this[method];
+                    this._drawListeners = null;
+                }
             };
         }
 
+        // Shadow each drawing method with an own-property wrapper that reports outermost calls
+        _instrumentMethods() {
+            let depth = 0;
+            this._instrumented = Object.getOwnPropertyNames(PRNG.prototype).filter(method =>
+                !method.startsWith('_') && !UNINSTRUMENTED_METHODS.has(method));
+            for (const method of this._instrumented) {
+                const original = PRNG.prototype[method];
+                this[method] = function(...args) {
+                    if (depth > 0) return original.apply(this, args);
+                    const before = this.draws;
+                    depth++;
+                    let result;
+                    try {
+                        result = original.apply(this, args);
+                    } finally {
+                        depth--;
+                    }
+                    const call = { method, args, result, draws: this.draws - before };
+                    for (const listener of this._drawListeners.slice()) listener(call);
+                    return result;
+                };
+            }
+        }
+    }
+
+    // ============================================================
+    // PRECOMPUTED SAMPLERS
+    // ============================================================
+
+    /**
+     * Vose's alias method: column i is chosen uniformly, then kept with
+     * probability prob[i] or replaced by alias[i]. O(n) to build, O(1) to sample
+     * @param {ArrayLike<number>} weights - Non-negative weights, not all zero
+     * @returns {{prob: Float64Array, alias: Uint32Array}}
+     */
+    function buildAliasTable(weights) {
+        const n = weights.length;
+        let total = 0;
+        for (let i = 0; i < n; i++) {
+            const w = weights[i];
+            if (typeof w !== 'number' || !(w >= 0) || !Number.isFinite(w)) {
+                throw new Error('Weights must be non-negative finite numbers');
+            }
+            total += w;
+        }
+        if (n === 0 || total === 0) {
+            throw new Error('Weights must not be empty or all zero');
+        }
+        const prob = new Float64Array(n);
+        const alias = new Uint32Array(n);
+        const scaled = new Float64Array(n);
+        const small = [], large = [];
+        for (let i = 0; i < n; i++) {
+            scaled[i] = weights[i] * n / total;
+            (scaled[i] < 1 ? small : large).push(i);
+        }
+        while (small.length > 0 && large.length > 0) {
+            const less = small.pop(), more = large.pop();
+            prob[less] = scaled[less];
+            alias[less] = more;
+            scaled[more] += scaled[less] - 1;
+            (scaled[more] < 1 ? small : large).push(more);
+        }
+        // Leftovers are 1 up to rounding error
+        for (const i of large) prob[i] = 1;
+        for (const i of small) prob[i] = 1;
+        return { prob, alias };
+    }
+
+    // Each factory validates its parameters, precomputes what it can and
+    // returns { sample(rng) } (plus the values, if the samples are not numbers)
+    const SAMPLER_FACTORIES = {
         /**
-         * Random point on a circle's edge
-         * @param {number} radius - Circle radius
+         * Rejection-inversion (Hörmann & Derflinger 1996): invert the integral
+         * of the hat x^-s around each rank and accept with a squeeze that
+         * rarely fails. O(1) setup and about one iteration per value
          */
-        pointOnCircle(radius = 1) {
-            const theta = this.random() * Math.PI * 2;
+        zipf({ n, s = 1 }) {
+            if (!Number.isInteger(n) || n < 1) throw new Error('n must be an integer >= 1');
+            if (typeof s !== 'number' || !(s >= 0) || !Number.isFinite(s)) throw new Error('s must be >= 0');
+            // log1p(x) / x and expm1(x) / x, with their series near 0
+            const helper1 = x => Math.abs(x) > 1e-8 ? Math.log1p(x) / x : 1 - x * (0.5 - x * (1 / 3 - 0.25 * x));
+            const helper2 = x => Math.abs(x) > 1e-8 ? Math.expm1(x) / x : 1 + x * 0.5 * (1 + x / 3 * (1 + 0.25 * x));
+            const h = x => Math.exp(-s * Math.log(x));
+            const hIntegral = x => {
+                const logX = Math.log(x);
+                return helper2((1 - s) * logX) * logX;
+            };
+            const hIntegralInverse = x => {
+                const t = Math.max(-1, x * (1 - s));
+                return Math.exp(helper1(t) * x);
+            };
+            const hIntegralX1 = hIntegral(1.5) - 1;
+            const hIntegralN = hIntegral(n + 0.5);
+            const squeeze = 2 - hIntegralInverse(hIntegral(2.5) - h(2));
             return {
-                x: radius * Math.cos(theta),
-                y: radius * Math.sin(theta)
+                sample(rng) {
+                    for (;;) {
+                        const u = hIntegralN + rng.random() * (hIntegralX1 - hIntegralN);
+                        const x = hIntegralInverse(u);
+                        const k = Math.min(n, Math.max(1, Math.floor(x + 0.5)));
+                        if (k - x <= squeeze || u >= hIntegral(k + 0.5) - h(k)) return k;
+                    }
+                }
             };
-        }
+        },
 
-        /**
-         * Random point in a sphere (uniform distribution)
-         * @param {number} radius - Sphere radius
-         */
-        pointInSphere(radius = 1) {
-            const u = this.random();
-            const v = this.random();
-            const theta = u * 2 * Math.PI;
-            const phi = Math.acos(2 * v - 1);
-            const r = radius * Math.cbrt(this.random());
-            
+        // Inversion by binary search in the cumulative table over the support
+        hypergeometric({ N, K, n }) {
+            if (![N, K, n].every(v => Number.isInteger(v) && v >= 0)) {
+                throw new Error('Parameters must be non-negative integers');
+            }
+            if (K > N) throw new Error('K cannot exceed N');
+            if (n > N) throw new Error('n cannot exceed N');
+            const min = Math.max(0, n - (N - K));
+            const cdf = new Float64Array(Math.min(n, K) - min + 1);
+            let sum = 0;
+            for (let i = 0; i < cdf.length; i++) {
+                sum += Math.exp(logChoose(K, min + i) + logChoose(N - K, n - min - i) - logChoose(N, n));
+                cdf[i] = sum;
+            }
             return {
-                x: r * Math.sin(phi) * Math.cos(theta),
-                y: r * Math.sin(phi) * Math.sin(theta),
-                z: r * Math.cos(phi)
+                sample(rng) {
+                    const u = rng.random() * sum;
+                    let lo = 0, hi = cdf.length - 1;
+                    while (lo < hi) {
+                        const mid = (lo + hi) >> 1;
+                        if (cdf[mid] > u) hi = mid; else lo = mid + 1;
+                    }
+                    return min + lo;
+                }
+            };
+        },
+
+        // Empirical distribution over indices (or values) by the alias method
+        discrete({ weights, values }) {
+            if (!Array.isArray(weights) && !ArrayBuffer.isView(weights)) {
+                throw new Error('weights must be an array');
+            }
+            if (values !== undefined && (!Array.isArray(values) || values.length !== weights.length)) {
+                throw new Error('values must be an array as long as weights');
+            }
+            const { prob, alias } = buildAliasTable(weights);
+            const n = prob.length;
+            return {
+                values,
+                sample(rng) {
+                    const column = Math.floor(rng.random() * n);
+                    const index = rng.random() < prob[column] ? column : alias[column];
+                    return values ? values[index] : index;
+                }
             };
         }
+    };
+
+    /**
+     * A distribution with precomputed tables, bound to a PRNG.
+     * Create with rng.sampler(name, params)
+     */
+    class Sampler {
+        constructor(rng, name, table) {
+            this.rng = rng;
+            this.name = name;
+            this._table = table;
+        }
 
         /**
-         * Random point on a sphere's surface
-         * @param {number} radius - Sphere radius
+         * Draw one value
          */
-        pointOnSphere(radius = 1) {
-            const u = this.random();
-            const v = this.random();
-            const theta = u * 2 * Math.PI;
-            const phi = Math.acos(2 * v - 1);
-            
-            return {
-                x: radius * Math.sin(phi) * Math.cos(theta),
-                y: radius * Math.sin(phi) * Math.sin(theta),
-                z: radius * Math.cos(phi)
-            };
+        sample() {
+            return this._table.sample(this.rng);
         }
 
         /**
-         * Random direction vector (2D)
+         * n values in a Float64Array (an Array for 'discrete' samplers with values)
+         * @param {number} n - Number of values
+         * @param {Float64Array|Array} [out] - Array to write the first n values of
+         * @returns {Float64Array|Array} out, or the new array
          */
-        direction2D() {
-            const angle = this.random() * Math.PI * 2;
-            return { x: Math.cos(angle), y: Math.sin(angle) };
+        samples(n, out) {
+            validateBatchSize(n);
+            if (out === undefined) out = this._table.values ? new Array(n) : new Float64Array(n);
+            checkBatchOutput(n, out);
+            for (let i = 0; i < n; i++) out[i] = this._table.sample(this.rng);
+            return out;
         }
 
         /**
-         * Random direction vector (3D)
+         * The same sampler drawing from another PRNG; the tables are shared
+         * @param {PRNG} rng - Generator to draw from
+         * @returns {Sampler}
          */
-        direction3D() {
-            const point = this.pointOnSphere(1);
-            return point;
+        bind(rng) {
+            return new Sampler(rng, this.name, this._table);
+        }
+    }
+
+    // ============================================================
+    // WEIGHTED TABLES
+    // ============================================================
+
+    const WEIGHTED_TABLE_MODES = ['alias', 'fenwick'];
+
+    function validateWeight(weight) {
+        if (typeof weight !== 'number' || !(weight >= 0) || !Number.isFinite(weight)) {
+            throw new Error(`Weight must be a non-negative finite number: ${weight}`);
         }
+    }
 
+    /**
+     * Reusable weighted pick over a fixed set of items.
+     * 'alias' mode picks in O(1) from a Vose alias table that is rebuilt in O(n)
+     * on the first pick after a change; 'fenwick' mode picks and updates in
+     * O(log n) from a Fenwick (binary indexed) tree, for weights that change often
+     */
+    class WeightedTable {
         /**
-         * Random point in a rectangle
+         * @param {Array} items - Distinct items
+         * @param {number[]} weights - Non-negative weights, one per item
+         * @param {Object} [options]
+         * @param {string} [options.mode='alias'] - 'alias' or 'fenwick'
          */
-        pointInRect(x, y, width, height) {
-            return {
-                x: x + this.random() * width,
-                y: y + this.random() * height
-            };
+        constructor(items = [], weights = [], { mode = 'alias' } = {}) {
+            if (!WEIGHTED_TABLE_MODES.includes(mode)) {
+                throw new Error(`Unknown mode: ${mode} (expected one of ${WEIGHTED_TABLE_MODES.join(', ')})`);
+            }
+            if (items.length !== weights.length) {
+                throw new Error('Items and weights must have same length');
+            }
+            this.mode = mode;
+            this._items = [];
+            this._weights = [];
+            this._index = new Map();
+            for (let i = 0; i < items.length; i++) {
+                if (this._index.has(items[i])) throw new Error(`Duplicate item: ${String(items[i])}`);
+                validateWeight(weights[i]);
+                this._index.set(items[i], i);
+                this._items.push(items[i]);
+                this._weights.push(weights[i]);
+            }
+            this._rebuild();
         }
 
         /**
-         * Random point in a box (3D)
+         * Table from an object with items as keys and weights as values,
+         * like weightedPickObject()
+         * @param {Object} weightedItems - Item keys to weights
+         * @param {Object} [options] - As for the constructor
+         * @returns {WeightedTable}
          */
-        pointInBox(x, y, z, width, height, depth) {
-            return {
-                x: x + this.random() * width,
-                y: y + this.random() * height,
-                z: z + this.random() * depth
-            };
+        static fromObject(weightedItems, options) {
+            return new WeightedTable(Object.keys(weightedItems), Object.values(weightedItems), options);
         }
 
-        // --------------------------------------------------------
-        // SPECIAL GENERATORS
-        // --------------------------------------------------------
+        /** Number of items */
+        get size() {
+            return this._items.length;
+        }
+
+        /** Sum of the weights */
+        get total() {
+            return this._total;
+        }
+
+        /** Items in table order */
+        get items() {
+            return this._items.slice();
+        }
+
+        has(item) {
+            return this._index.has(item);
+        }
 
         /**
-         * Generate a UUID v4
+         * @param {*} item - Item to look up
+         * @returns {number} Its weight, or 0 if it is not in the table
          */
-        uuid() {
-            const hex = '0123456789abcdef';
-            let uuid = '';
-            
-            for (let i = 0; i < 36; i++) {
-                if (i === 8 || i === 13 || i === 18 || i === 23) {
-                    uuid += '-';
-                } else if (i === 14) {
-                    uuid += '4';
-                } else if (i === 19) {
-                    uuid += hex[(this.int(0, 15) & 0x3) | 0x8];
-                } else {
-                    uuid += hex[this.int(0, 15)];
-                }
+        weight(item) {
+            const i = this._index.get(item);
+            return i === undefined ? 0 : this._weights[i];
+        }
+
+        /**
+         * Set an item's weight, adding the item if it is new
+         * @param {*} item - Item to update
+         * @param {number} weight - New non-negative weight
+         * @returns {WeightedTable} this
+         */
+        set(item, weight) {
+            validateWeight(weight);
+            let i = this._index.get(item);
+            if (i === undefined) {
+                i = this._items.length;
+                this._index.set(item, i);
+                this._items.push(item);
+                this._weights.push(0);
+                if (this.mode === 'fenwick') this._growTree();
             }
-            
-            return uuid;
+            this._update(i, weight);
+            return this;
         }
 
         /**
-         * Generate a random hex color
+         * Remove an item. The last item moves into its place
+         * @param {*} item - Item to remove
+         * @returns {boolean} Whether the item was in the table
          */
-        color() {
-            return '#' + this.int(0, 0xFFFFFF).toString(16).padStart(6, '0');
+        remove(item) {
+            const i = this._index.get(item);
+            if (i === undefined) return false;
+            const last = this._items.length - 1;
+            if (i !== last) {
+                const moved = this._items[last];
+                const movedWeight = this._weights[last];
+                this._update(last, 0);
+                this._items[i] = moved;
+                this._index.set(moved, i);
+                this._update(i, movedWeight);
+            } else {
+                this._update(i, 0);
+            }
+            this._index.delete(item);
+            this._items.pop();
+            this._weights.pop();
+            // A Fenwick node only covers positions up to its own index,
+            // so dropping the last node leaves the others valid
+            if (this.mode === 'fenwick') this._tree.pop();
+            return true;
         }
 
         /**
-         * Generate a random RGB color
+         * Pick an item with probability proportional to its weight.
+         * Alias mode draws rng.random() twice, Fenwick mode once (again in the rare case rounding lands on a zero weight)
+         * @param {PRNG} rng - Generator to draw from
+         * @returns {*} The picked item
          */
-        colorRGB() {
-            return {
-                r: this.int(0, 255),
-                g: this.int(0, 255),
-                b: this.int(0, 255)
-            };
+        pick(rng) {
+            const n = this._items.length;
+            if (this._positive === 0) {
+                throw new Error('Weights must not be empty or all zero');
+            }
+            if (this.mode === 'alias') {
+                if (this._alias === null) this._alias = buildAliasTable(this._weights);
+                const column = Math.floor(rng.random() * n);
+                return this._items[rng.random() < this._alias.prob[column] ? column : this._alias.alias[column]];
+            }
+            // Walk down the tree for the first position whose prefix sum exceeds u.
+            // Rounding in the sums can land on a zero-weight item or past the
+            // end; draw again rather than return it
+            for (;;) {
+                let u = rng.random() * this._total;
+                let pos = 0;
+                for (let step = 1 << (31 - Math.clz32(n)); step > 0; step >>= 1) {
+                    const next = pos + step;
+                    if (next <= n && this._tree[next - 1] <= u) {
+                        pos = next;
+                        u -= this._tree[next - 1];
+                    }
+                }
+                if (pos < n && this._weights[pos] > 0) return this._items[pos];
+            }
         }
 
         /**
-         * Generate a random HSL color
+         * @returns {{mode: string, items: Array, weights: number[]}} Plain data
+         * for JSON.stringify(); the items must be JSON-serializable themselves
          */
-        colorHSL(saturation = null, lightness = null) {
-            return {
-                h: this.int(0, 360),
-                s: saturation ?? this.int(0, 100),
-                l: lightness ?? this.int(0, 100)
-            };
+        toJSON() {
+            return { mode: this.mode, items: this._items.slice(), weights: this._weights.slice() };
         }
 
         /**
-         * Generate a random character from a set
-         * @param {string} charset - Characters to choose from
+         * Rebuild a table from toJSON() output or its JSON string
+         * @param {Object|string} data - Serialized table
+         * @returns {WeightedTable}
          */
-        char(charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789') {
-            return charset[this.int(0, charset.length - 1)];
+        static fromJSON(data) {
+            const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            if (!parsed || !Array.isArray(parsed.items) || !Array.isArray(parsed.weights)) {
+                throw new Error('Invalid weighted table data');
+            }
+            return new WeightedTable(parsed.items, parsed.weights, { mode: parsed.mode });
+        }
+
+        _update(i, weight) {
+            const delta = weight - this._weights[i];
+            this._positive += (weight > 0) - (this._weights[i] > 0);
+            this._weights[i] = weight;
+            this._total += delta;
+            if (this._positive === 0) {
+                // The deltas may not cancel exactly; an all-zero table is exactly zero
+                this._rebuild();
+                return;
+            }
+            if (this.mode === 'alias') {
+                this._alias = null;
+            } else {
+                for (let j = i + 1; j <= this._tree.length; j += j & -j) this._tree[j - 1] += delta;
+            }
+            // Resum occasionally so rounding in the deltas cannot build up
+            if (++this._updates > this._items.length) this._rebuild();
         }
 
-        /**
-         * Generate a random string
-         * @param {number} length - String length
-         * @param {string} charset - Characters to choose from
-         */
-        string(length, charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789') {
-            let result = '';
-            for (let i = 0; i < length; i++) {
-                result += this.char(charset);
+        _rebuild() {
+            const n = this._items.length;
+            this._total = 0;
+            this._positive = 0;
+            for (let i = 0; i < n; i++) {
+                this._total += this._weights[i];
+                if (this._weights[i] > 0) this._positive++;
+            }
+            this._alias = null;
+            this._updates = 0;
+            if (this.mode !== 'fenwick') return;
+            // O(n) construction: each node passes its sum on to its parent
+            this._tree = this._weights.slice();
+            for (let j = 1; j <= n; j++) {
+                const parent = j + (j & -j);
+                if (parent <= n) this._tree[parent - 1] += this._tree[j - 1];
             }
-            return result;
         }
 
-        // --------------------------------------------------------
-        // STATE MANAGEMENT
-        // --------------------------------------------------------
+        _growTree() {
+            // New node j covers (j - lowbit(j), j]; its only non-zero part so far
+            // is the earlier positions, the new item itself having weight 0
+            const j = this._tree.length + 1;
+            let sum = 0;
+            for (let k = j - 1; k > j - (j & -j); k -= k & -k) sum += this._tree[k - 1];
+            this._tree.push(sum);
+        }
+    }
+
+    // ============================================================
+    // RECORD AND REPLAY
+    // ============================================================
+
+    // Read-only methods that cannot desync a stream are not logged
+    const UNRECORDED_METHODS = new Set(['constructor', 'getState', 'serialize', 'toStateCode']);
+
+    function recordReplacer(key, value) {
+        if (value instanceof PRNG) return { $prng: stateChecksum(value.serialize()) };
+        if (ArrayBuffer.isView(value) && !(value instanceof Uint8Array) && !(value instanceof DataView)) {
+            return Array.from(value);
+        }
+        return stateReplacer(key, value);
+    }
+
+    // JSON-safe copy of an argument or result, taken at call time
+    function recordValue(value) {
+        if (value === undefined) return undefined;
+        try {
+            return JSON.parse(JSON.stringify(value, recordReplacer));
+        } catch (e) {
+            return { $unserializable: String(value) };
+        }
+    }
+
+    function sameRecordValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
 
+    /**
+     * Records every call made on a PRNG (and on the generators it forks, splits
+     * or clones) to debug desyncs, e.g. between lockstep multiplayer clients.
+     * Use `recorder.prng` in place of the wrapped PRNG. In verify mode each call
+     * is also compared with a log recorded elsewhere, and the first call that
+     * differs is kept in `divergence`
+     */
+    class PRNGRecorder {
         /**
-         * Get the current state (for saving)
+         * @param {PRNG} prng - Generator to record
+         * @param {Object} [options]
+         * @param {string} [options.tag] - Initial caller tag (default '')
+         * @param {Object} [options.verify] - Log from export() to compare calls against
+         * @param {function} [options.onDivergence] - Called once with the first divergence
          */
-        getState() {
-            return {
-                algorithm: this.generator.name,
-                generatorState: this.generator.getState(),
-                normalCache: {
-                    spare: this._spareNormal,
-                    hasSpare: this._hasSpareNormal
+        constructor(prng, options = {}) {
+            if (!(prng instanceof PRNG)) {
+                throw new Error('PRNGRecorder wraps a PRNG instance');
+            }
+            if (options.verify !== undefined && !Array.isArray(options.verify.entries)) {
+                throw new Error('verify must be a log from PRNGRecorder.export()');
+            }
+            this.tag = options.tag || '';
+            this.entries = [];
+            this.divergence = null;
+            this._start = prng.serialize();
+            this._expected = options.verify ? options.verify.entries : null;
+            this._onDivergence = options.onDivergence || null;
+            this._instances = new Map();
+            this._childCounts = new Map();
+            this.prng = this._wrap(prng, 'root');
+        }
+
+        // Proxy that logs each public method call on target under the instance id
+        _wrap(target, id) {
+            const recorder = this;
+            const wrappers = new Map();
+            const proxy = new Proxy(target, {
+                get(obj, property, receiver) {
+                    const value = Reflect.get(obj, property, receiver);
+                    if (typeof value !== 'function' || typeof property !== 'string' ||
+                        property.startsWith('_') || UNRECORDED_METHODS.has(property)) {
+                        return value;
+                    }
+                    if (!wrappers.has(property)) {
+                        wrappers.set(property, (...args) => recorder._call(obj, proxy, id, property, args));
+                    }
+                    return wrappers.get(property);
                 }
-            };
+            });
+            this._instances.set(id, proxy);
+            return proxy;
+        }
+
+        _call(target, proxy, id, method, args) {
+            const entry = { id, tag: this.tag, method, args: recordValue(args) };
+            let result = target[method](...args);
+            entry.result = recordValue(result);
+
+            // Keep recording on the generators this call hands out
+            if (result === target) {
+                result = proxy;
+            } else if (result instanceof PRNG) {
+                result = this._wrap(result, this._childId(id, method));
+            } else if (Array.isArray(result) && result.length > 0 && result.every(r => r instanceof PRNG)) {
+                result = result.map(child => this._wrap(child, this._childId(id, method)));
+            }
+
+            this._check(entry);
+            this.entries.push(entry);
+            return result;
+        }
+
+        _childId(parentId, method) {
+            const key = `${parentId}/${method}`;
+            const n = this._childCounts.get(key) || 0;
+            this._childCounts.set(key, n + 1);
+            return `${key}${n}`;
+        }
+
+        _check(entry) {
+            if (!this._expected || this.divergence) return;
+            const index = this.entries.length;
+            const expected = this._expected[index];
+            let differences;
+            if (!expected) {
+                differences = ['extra call'];
+            } else {
+                differences = ['id', 'tag', 'method', 'args', 'result']
+                    .filter(field => !sameRecordValue(expected[field], entry[field]));
+            }
+            if (differences.length > 0) {
+                this.divergence = { index, differences, expected: expected || null, actual: entry };
+                if (this._onDivergence) this._onDivergence(this.divergence);
+            }
         }
 
         /**
-         * Restore from a saved state
+         * Run fn with a caller tag, restoring the previous tag afterwards
+         * @param {string} tag - Caller tag for calls made inside fn
+         * @param {function} fn - Code that uses the recorded PRNG
+         * @returns {*} fn's return value
          */
-        setState(savedState) {
-            this.setSeed(0, savedState.algorithm); // Initialize with correct algorithm
-            this.generator.setState(savedState.generatorState);
-            this._spareNormal = savedState.normalCache.spare;
-            this._hasSpareNormal = savedState.normalCache.hasSpare;
+        withTag(tag, fn) {
+            const previous = this.tag;
+            this.tag = tag;
+            try {
+                return fn();
+            } finally {
+                this.tag = previous;
+            }
         }
 
         /**
-         * Reset to initial seed
+         * Compare the calls so far with the verify log; unlike `divergence`,
+         * this also reports calls the log has but this run has not made yet
+         * @returns {Object|null} First divergence, or null if the runs match
          */
-        reset() {
-            this.generator.reset();
-            this._spareNormal = null;
-            this._hasSpareNormal = false;
+        report() {
+            if (this.divergence || !this._expected) return this.divergence;
+            const index = this.entries.length;
+            if (index < this._expected.length) {
+                return { index, differences: ['missing call'], expected: this._expected[index], actual: null };
+            }
+            return null;
         }
 
         /**
-         * Clone this PRNG instance
+         * Export the log as a JSON-safe object
+         * @returns {{version: number, start: string, entries: Object[]}}
          */
-        clone() {
-            const cloned = new PRNG(0, this.generator.name);
-            cloned.generator = this.generator.clone();
-            cloned._spareNormal = this._spareNormal;
-            cloned._hasSpareNormal = this._hasSpareNormal;
-            return cloned;
+        export() {
+            return { version: 1, start: this._start, entries: this.entries.slice() };
         }
 
         /**
-         * Create a child PRNG with a derived seed
-         * Useful for creating reproducible sub-generators
+         * Replay a log against a PRNG (by default a fresh one restored from the
+         * log's starting state) by repeating each recorded call with its tag
+         * and arguments
+         * @param {Object} log - Log from export()
+         * @param {PRNG} [prng] - Live instance to replay against
+         * @returns {Object|null} First divergence, or null if every call matched
          */
-        fork(label = '') {
-            const derivedSeed = this.generator.name + '_' + this.randomInt() + '_' + label;
-            return new PRNG(derivedSeed, this.generator.name);
+        static replay(log, prng = PRNG.deserialize(log.start)) {
+            const recorder = new PRNGRecorder(prng, { verify: log });
+            for (const entry of log.entries) {
+                const target = recorder._instances.get(entry.id);
+                if (!target) {
+                    return { index: recorder.entries.length, differences: ['id'], expected: entry, actual: null };
+                }
+                recorder.tag = entry.tag;
+                const args = JSON.parse(JSON.stringify(entry.args), stateReviver);
+                target[entry.method](...args);
+                if (recorder.divergence) return recorder.divergence;
+            }
+            return null;
         }
     }
 
@@ -1990,6 +5610,752 @@
         }
     }
 
+    // ============================================================
+    // STATISTICAL TESTS
+    // ============================================================
+
+    /**
+     * Regularized upper incomplete gamma function Q(a, x), by series for
+     * x < a + 1 and by continued fraction otherwise (Numerical Recipes 6.2)
+     */
+    function gammaQ(a, x) {
+        if (x <= 0) return 1;
+        const logPrefix = a * Math.log(x) - x - logGamma(a);
+        if (x < a + 1) {
+            let term = 1 / a, sum = term;
+            for (let n = 1; n < 10000 && Math.abs(term) > Math.abs(sum) * 1e-16; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+        let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+        for (let n = 1; n < 10000; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = b + an / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-16) break;
+        }
+        return Math.min(1, h * Math.exp(logPrefix));
+    }
+
+    // Upper-tail p-value of a chi-square statistic
+    function chiSquareP(statistic, df) {
+        return gammaQ(df / 2, statistic / 2);
+    }
+
+    // Two-sided p-value of a standard normal statistic: erfc(|z| / sqrt(2))
+    function normalP(z) {
+        return gammaQ(0.5, z * z / 2);
+    }
+
+    // Standard normal CDF
+    function normalCdf(z) {
+        const tail = 0.5 * gammaQ(0.5, z * z / 2);
+        return z < 0 ? tail : 1 - tail;
+    }
+
+    // Continued fraction for the incomplete beta function (Numerical Recipes 6.4)
+    function betaContinuedFraction(x, a, b) {
+        let c = 1, d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m < 10000; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            h *= d * c;
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-16) break;
+        }
+        return h;
+    }
+
+    // Regularized incomplete beta function I_x(a, b)
+    function betaIncomplete(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+        if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
+        return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+    }
+
+    function logChoose(n, k) {
+        return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+    }
+
+    // Asymptotic Kolmogorov distribution Q_KS(lambda) (Numerical Recipes probks)
+    function kolmogorovP(lambda) {
+        let sign = 2, sum = 0, previous = 0;
+        for (let j = 1; j <= 100; j++) {
+            const term = sign * Math.exp(-2 * j * j * lambda * lambda);
+            sum += term;
+            if (Math.abs(term) <= 0.001 * previous || Math.abs(term) <= 1e-8 * sum) return Math.min(1, Math.max(0, sum));
+            sign = -sign;
+            previous = Math.abs(term);
+        }
+        return 1;
+    }
+
+    // Composite Simpson's rule with an even number of intervals
+    function simpson(f, a, b, intervals) {
+        const h = (b - a) / intervals;
+        let sum = f(a) + f(b);
+        for (let i = 1; i < intervals; i++) sum += (i % 2 ? 4 : 2) * f(a + i * h);
+        return sum * h / 3;
+    }
+
+    function chiSquareStatistic(observed, expected) {
+        let statistic = 0;
+        for (let i = 0; i < observed.length; i++) {
+            statistic += (observed[i] - expected[i]) ** 2 / expected[i];
+        }
+        return statistic;
+    }
+
+    const TWO_POW_32 = 4294967296;
+
+    // Each test reads n 32-bit values from next() and returns its statistic and p-value.
+    // Chi-square tests are upper-tailed, so a p-value near 1 (too regular) is also suspect
+    const STATS_TESTS = {
+        // Frequency of the top 8 bits over 256 equally likely cells
+        chiSquare(next, n) {
+            const counts = new Array(256).fill(0);
+            for (let i = 0; i < n; i++) counts[next() >>> 24]++;
+            const statistic = chiSquareStatistic(counts, new Array(256).fill(n / 256));
+            return { statistic, pValue: chiSquareP(statistic, 255), tails: 2 };
+        },
+
+        // Lag-1 serial correlation coefficient of the uniforms (Knuth 3.3.2K)
+        serialCorrelation(next, n) {
+            const first = next() / TWO_POW_32;
+            let previous = first, sum = first, sumSquares = first * first, sumProducts = 0;
+            for (let i = 1; i < n; i++) {
+                const u = next() / TWO_POW_32;
+                sum += u;
+                sumSquares += u * u;
+                sumProducts += previous * u;
+                previous = u;
+            }
+            sumProducts += previous * first;
+            const c = (n * sumProducts - sum * sum) / (n * sumSquares - sum * sum);
+            const mean = -1 / (n - 1);
+            const sd = n / ((n - 1) * Math.sqrt(n - 2));
+            const statistic = (c - mean) / sd;
+            return { statistic, pValue: normalP(statistic), tails: 1 };
+        },
+
+        // Wald-Wolfowitz runs above and below the median
+        runs(next, n) {
+            let previous = next() >>> 31, ones = previous, runs = 1;
+            for (let i = 1; i < n; i++) {
+                const bit = next() >>> 31;
+                ones += bit;
+                if (bit !== previous) runs++;
+                previous = bit;
+            }
+            const zeros = n - ones;
+            const mean = 2 * ones * zeros / n + 1;
+            const variance = (mean - 1) * (mean - 2) / (n - 1);
+            const statistic = (runs - mean) / Math.sqrt(variance);
+            return { statistic, pValue: normalP(statistic), tails: 1 };
+        },
+
+        // Lengths of the gaps between values in [0, 1/4), geometric under H0 (Knuth 3.3.2D)
+        gap(next, n) {
+            const p = 0.25, cells = 16;
+            const counts = new Array(cells + 1).fill(0);
+            let gap = 0, gaps = 0;
+            for (let i = 0; i < n; i++) {
+                if (next() < TWO_POW_32 * p) {
+                    counts[Math.min(gap, cells)]++;
+                    gaps++;
+                    gap = 0;
+                } else {
+                    gap++;
+                }
+            }
+            const expected = counts.map((_, r) => gaps * (r < cells ? p * (1 - p) ** r : (1 - p) ** cells));
+            const statistic = chiSquareStatistic(counts, expected);
+            return { statistic, pValue: chiSquareP(statistic, cells), tails: 2 };
+        },
+
+        // Distinct values among hands of 5 consecutive 3-bit digits (Knuth 3.3.2C)
+        poker(next, n) {
+            // Stirling numbers S(5, r) * 8! / (8 - r)! / 8^5, with r = 1 and 2 pooled
+            const probabilities = [(8 + 15 * 56) / 32768, 25 * 336 / 32768, 10 * 1680 / 32768, 6720 / 32768];
+            const counts = [0, 0, 0, 0];
+            const hands = Math.floor(n / 5);
+            for (let h = 0; h < hands; h++) {
+                let seen = 0;
+                for (let i = 0; i < 5; i++) seen |= 1 << (next() >>> 29);
+                let distinct = 0;
+                for (; seen; seen &= seen - 1) distinct++;
+                counts[Math.max(distinct, 2) - 2]++;
+            }
+            const statistic = chiSquareStatistic(counts, probabilities.map(q => q * hands));
+            return { statistic, pValue: chiSquareP(statistic, 3), tails: 2 };
+        },
+
+        // Marsaglia's birthday spacings: 512 birthdays in a year of 2^24 days give a
+        // Poisson(2) number of repeated spacings per trial
+        birthdaySpacings(next, n) {
+            const birthdays = new Uint32Array(512);
+            const spacings = new Uint32Array(511);
+            const trials = Math.floor(n / 512);
+            const counts = [0, 0, 0, 0, 0];
+            for (let t = 0; t < trials; t++) {
+                for (let i = 0; i < 512; i++) birthdays[i] = next() >>> 8;
+                birthdays.sort();
+                for (let i = 0; i < 511; i++) spacings[i] = birthdays[i + 1] - birthdays[i];
+                spacings.sort();
+                let repeats = 0;
+                for (let i = 1; i < 511; i++) if (spacings[i] === spacings[i - 1]) repeats++;
+                counts[Math.min(repeats, 4)]++;
+            }
+            const poisson = [0, 1, 2, 3].map(k => Math.exp(-2) * 2 ** k / [1, 1, 2, 6][k]);
+            poisson.push(1 - poisson.reduce((a, b) => a + b, 0));
+            const statistic = chiSquareStatistic(counts, poisson.map(q => q * trials));
+            return { statistic, pValue: chiSquareP(statistic, 4), tails: 2 };
+        },
+
+        // Ones in each of the 32 bit positions
+        bitFrequency(next, n) {
+            const ones = new Array(32).fill(0);
+            for (let i = 0; i < n; i++) {
+                const x = next();
+                for (let b = 0; b < 32; b++) ones[b] += (x >>> b) & 1;
+            }
+            const statistic = ones.reduce((sum, count) => sum + (count - n / 2) ** 2 / (n / 4), 0);
+            return { statistic, pValue: chiSquareP(statistic, 32), tails: 2 };
+        },
+
+        // Changes of each bit position between consecutive values (catches short-period low bits)
+        bitRuns(next, n) {
+            const changes = new Array(32).fill(0);
+            let previous = next();
+            for (let i = 1; i < n; i++) {
+                const x = next();
+                const diff = x ^ previous;
+                for (let b = 0; b < 32; b++) changes[b] += (diff >>> b) & 1;
+                previous = x;
+            }
+            const statistic = changes.reduce((sum, count) => sum + (count - (n - 1) / 2) ** 2 / ((n - 1) / 4), 0);
+            return { statistic, pValue: chiSquareP(statistic, 32), tails: 2 };
+        }
+    };
+
+    // p-value thresholds (per tail) for 'suspect' and 'fail'
+    const STATS_SUSPECT = 1e-3;
+    const STATS_FAIL = 1e-6;
+
+    function statsVerdict(pValue, tails) {
+        const tail = tails === 2 ? Math.min(pValue, 1 - pValue) : pValue;
+        return tail < STATS_FAIL ? 'fail' : tail < STATS_SUSPECT ? 'suspect' : 'pass';
+    }
+
+    function discreteCdf(pmf, min) {
+        return (x, ...params) => {
+            let sum = 0;
+            for (let k = min(...params); k <= Math.floor(x); k++) sum += pmf(k, ...params);
+            return Math.min(1, sum);
+        };
+    }
+
+    // Generalized harmonic numbers H(n, s) for the zipf pmf. goodnessOfFit()
+    // asks for the pmf of every k, so each sum is computed once, not per call
+    const zipfHarmonics = new Map();
+
+    function zipfHarmonic(n, s) {
+        const key = `${n},${s}`;
+        let harmonic = zipfHarmonics.get(key);
+        if (harmonic === undefined) {
+            harmonic = 0;
+            for (let i = 1; i <= n; i++) harmonic += 1 / Math.pow(i, s);
+            if (zipfHarmonics.size >= 32) zipfHarmonics.clear();
+            zipfHarmonics.set(key, harmonic);
+        }
+        return harmonic;
+    }
+
+    // Theoretical distributions of the PRNG distribution methods, keyed by method
+    // name. Parameters follow the method's, defaults included. Continuous ones give
+    // cdf(x, ...params); discrete ones pmf(k, ...params), cdf and support(...params)
+    const DISTRIBUTIONS = {
+        normal: {
+            type: 'continuous',
+            cdf: (x, mean = 0, stdDev = 1) => normalCdf((x - mean) / stdDev)
+        },
+        exponential: {
+            type: 'continuous',
+            cdf: (x, lambda = 1) => x <= 0 ? 0 : 1 - Math.exp(-lambda * x)
+        },
+        pareto: {
+            type: 'continuous',
+            cdf: (x, alpha = 1, xm = 1) => x <= xm ? 0 : 1 - Math.pow(xm / x, alpha)
+        },
+        beta: {
+            type: 'continuous',
+            cdf: (x, alpha, beta) => betaIncomplete(x, alpha, beta)
+        },
+        gamma: {
+            type: 'continuous',
+            cdf: (x, shape, scale = 1) => x <= 0 ? 0 : 1 - gammaQ(shape, x / scale)
+        },
+        triangular: {
+            type: 'continuous',
+            cdf: (x, min = 0, max = 1, mode = 0.5) => {
+                if (x <= min) return 0;
+                if (x >= max) return 1;
+                if (x <= mode) return (x - min) ** 2 / ((max - min) * (mode - min));
+                return 1 - (max - x) ** 2 / ((max - min) * (max - mode));
+            }
+        },
+        logNormal: {
+            type: 'continuous',
+            cdf: (x, mu = 0, sigma = 1) => x <= 0 ? 0 : normalCdf((Math.log(x) - mu) / sigma)
+        },
+        weibull: {
+            type: 'continuous',
+            cdf: (x, scale = 1, shape = 1) => x <= 0 ? 0 : 1 - Math.exp(-Math.pow(x / scale, shape))
+        },
+        cauchy: {
+            type: 'continuous',
+            cdf: (x, location = 0, scale = 1) => 0.5 + Math.atan((x - location) / scale) / Math.PI
+        },
+        chiSquared: {
+            type: 'continuous',
+            cdf: (x, k) => x <= 0 ? 0 : 1 - gammaQ(k / 2, x / 2)
+        },
+        studentT: {
+            type: 'continuous',
+            cdf: (x, df) => {
+                const tail = 0.5 * betaIncomplete(df / (df + x * x), df / 2, 0.5);
+                return x < 0 ? tail : 1 - tail;
+            }
+        },
+        vonMises: {
+            type: 'continuous',
+            // No closed form: integrate the density over [-pi, x], normalized over the circle
+            cdf: (x, mu = 0, kappa = 1) => {
+                if (x <= -Math.PI) return 0;
+                if (x >= Math.PI) return 1;
+                const density = theta => Math.exp(kappa * (Math.cos(theta - mu) - 1));
+                const intervals = 2 * Math.ceil(50 + 10 * Math.sqrt(kappa));
+                return simpson(density, -Math.PI, x, intervals) / simpson(density, -Math.PI, Math.PI, intervals);
+            }
+        },
+        poisson: {
+            type: 'discrete',
+            support: () => [0, Infinity],
+            pmf: (k, lambda) => k < 0 || !Number.isInteger(k) ? 0 : Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1))
+        },
+        binomial: {
+            type: 'discrete',
+            support: n => [0, n],
+            pmf: (k, n, p) => {
+                if (k < 0 || k > n || !Number.isInteger(k)) return 0;
+                if (p === 0 || p === 1) return k === n * p ? 1 : 0;
+                return Math.exp(logChoose(n, k) + k * Math.log(p) + (n - k) * Math.log(1 - p));
+            }
+        },
+        geometric: {
+            type: 'discrete',
+            support: () => [1, Infinity],
+            pmf: (k, p) => k < 1 || !Number.isInteger(k) ? 0 : p * Math.pow(1 - p, k - 1)
+        },
+        zipf: {
+            type: 'discrete',
+            support: n => [1, n],
+            pmf: (k, n, s = 1) => {
+                if (k < 1 || k > n || !Number.isInteger(k)) return 0;
+                return 1 / (Math.pow(k, s) * zipfHarmonic(n, s));
+            }
+        },
+        hypergeometric: {
+            type: 'discrete',
+            support: (N, K, n) => [Math.max(0, n - (N - K)), Math.min(n, K)],
+            pmf: (k, N, K, n) => {
+                if (k < Math.max(0, n - (N - K)) || k > Math.min(n, K) || !Number.isInteger(k)) return 0;
+                return Math.exp(logChoose(K, k) + logChoose(N - K, n - k) - logChoose(N, n));
+            }
+        }
+    };
+
+    for (const dist of Object.values(DISTRIBUTIONS)) {
+        if (dist.type === 'discrete') dist.cdf = discreteCdf(dist.pmf, (...params) => dist.support(...params)[0]);
+    }
+
+    // One-sample Kolmogorov-Smirnov test against a continuous CDF
+    function kolmogorovSmirnov(samples, cdf) {
+        const sorted = Float64Array.from(samples).sort();
+        const n = sorted.length;
+        let statistic = 0;
+        for (let i = 0; i < n; i++) {
+            const f = cdf(sorted[i]);
+            statistic = Math.max(statistic, f - i / n, (i + 1) / n - f);
+        }
+        const sqrtN = Math.sqrt(n);
+        return { statistic, pValue: kolmogorovP((sqrtN + 0.12 + 0.11 / sqrtN) * statistic), tails: 1 };
+    }
+
+    // Chi-square test against a PMF, pooling consecutive values into cells
+    // expecting at least 5 samples; the last cell is open-ended
+    function discreteChiSquare(samples, pmf, support) {
+        const [min, max] = support;
+        const n = samples.length;
+        const starts = [], expected = [];
+        let cellStart = min, cellExpected = 0, cumulative = 0;
+        for (let k = min; k <= max && n * (1 - cumulative) >= 5; k++) {
+            const q = pmf(k);
+            cumulative += q;
+            cellExpected += q * n;
+            if (cellExpected >= 5) {
+                starts.push(cellStart);
+                expected.push(cellExpected);
+                cellStart = k + 1;
+                cellExpected = 0;
+            }
+        }
+        const rest = cellExpected + Math.max(0, n * (1 - cumulative));
+        if (starts.length === 0 || rest >= 5) {
+            starts.push(cellStart);
+            expected.push(rest);
+        } else {
+            expected[expected.length - 1] += rest;
+        }
+        const observed = new Array(starts.length).fill(0);
+        for (const k of samples) {
+            if (!Number.isInteger(k) || k < min || k > max) {
+                return { statistic: Infinity, pValue: 0, tails: 1 };
+            }
+            let lo = 0, hi = starts.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (starts[mid] <= k) lo = mid; else hi = mid - 1;
+            }
+            observed[lo]++;
+        }
+        const statistic = chiSquareStatistic(observed, expected);
+        const pValue = starts.length > 1 ? chiSquareP(statistic, starts.length - 1) : 1;
+        return { statistic, pValue, tails: 2 };
+    }
+
+    function statsSource(source, options) {
+        if (typeof source === 'string') {
+            const rng = new PRNG(options.seed ?? 'seedforge-stats', source, options.generatorOptions);
+            return () => rng.randomInt() >>> 0;
+        }
+        if (source instanceof PRNG) return () => source.randomInt() >>> 0;
+        if (source !== null && typeof source === 'object' && typeof source.nextInt === 'function') {
+            return () => source.nextInt() >>> 0;
+        }
+        if (typeof source === 'function') return () => source() >>> 0;
+        throw new Error('Stats source must be an algorithm name, a PRNG, a generator or a function returning 32-bit integers');
+    }
+
+    /**
+     * Empirical quality tests for any generator
+     */
+    const Stats = {
+        /** Names of the tests in the battery */
+        tests: Object.keys(STATS_TESTS),
+
+        /** Theoretical CDF (and PMF for discrete ones) of each distribution method */
+        distributions: DISTRIBUTIONS,
+
+        /**
+         * Test samples of rng[name](...params) against the theoretical distribution:
+         * Kolmogorov-Smirnov for continuous distributions, chi-square for discrete ones
+         * @param {PRNG} rng - Generator to sample from
+         * @param {string} name - Distribution method, e.g. 'gamma'
+         * @param {Array} [params] - Arguments passed to the method
+         * @param {Object} [options] - { samples = 10000 }
+         * @returns {{name: string, test: string, samples: number, statistic: number,
+         *          pValue: number, verdict: string}}
+         */
+        goodnessOfFit(rng, name, params = [], options = {}) {
+            const dist = Object.prototype.hasOwnProperty.call(DISTRIBUTIONS, name) ? DISTRIBUTIONS[name] : null;
+            if (!dist) {
+                throw new Error(`Unknown distribution: ${name} (expected one of ${Object.keys(DISTRIBUTIONS).join(', ')})`);
+            }
+            const samples = options.samples ?? 10000;
+            if (!Number.isInteger(samples) || samples < 100) {
+                throw new Error('Goodness-of-fit samples must be an integer of at least 100');
+            }
+            const values = Array.from({ length: samples }, () => rng[name](...params));
+            const { statistic, pValue, tails } = dist.type === 'continuous'
+                ? kolmogorovSmirnov(values, x => dist.cdf(x, ...params))
+                : discreteChiSquare(values, k => dist.pmf(k, ...params), dist.support(...params));
+            return {
+                name,
+                test: dist.type === 'continuous' ? 'ks' : 'chiSquare',
+                samples,
+                statistic,
+                pValue,
+                verdict: statsVerdict(pValue, tails)
+            };
+        },
+
+        /**
+         * Run the test battery on a generator. Each test reads its own samples
+         * from the source in turn. A p-value below 1e-3 (or, for chi-square tests,
+         * above 1 - 1e-3) is 'suspect'; beyond 1e-6 it is 'fail'. With 8 tests a
+         * good generator is flagged suspect about 1% of the time, so rerun with
+         * another seed before drawing conclusions
+         * @param {string|PRNG|Object|Function} source - Algorithm name, PRNG,
+         *        generator (nextInt()) or function returning 32-bit integers
+         * @param {Object} [options] - { samples = 100000 per test, tests = all,
+         *        seed and generatorOptions when source is an algorithm name }
+         * @returns {{verdict: string, passed: boolean, total: number, failed: number,
+         *          suspect: number, results: Object[]}} One result per test:
+         *          { name, statistic, pValue, verdict }
+         */
+        run(source, options = {}) {
+            const samples = options.samples ?? 100000;
+            if (!Number.isInteger(samples) || samples < 20000) {
+                throw new Error('Stats samples must be an integer of at least 20000');
+            }
+            const names = options.tests ?? Stats.tests;
+            for (const name of names) {
+                if (!Object.prototype.hasOwnProperty.call(STATS_TESTS, name)) {
+                    throw new Error(`Unknown statistical test: ${name} (expected one of ${Stats.tests.join(', ')})`);
+                }
+            }
+            const next = statsSource(source, options);
+            const results = names.map(name => {
+                const { statistic, pValue, tails } = STATS_TESTS[name](next, samples);
+                return { name, statistic, pValue, verdict: statsVerdict(pValue, tails) };
+            });
+            const failed = results.filter(r => r.verdict === 'fail').length;
+            const suspect = results.filter(r => r.verdict === 'suspect').length;
+            return {
+                verdict: failed > 0 ? 'fail' : suspect > 0 ? 'suspect' : 'pass',
+                passed: failed === 0,
+                total: results.length,
+                failed,
+                suspect,
+                results
+            };
+        }
+    };
+
+    // ============================================================
+    // SELF TEST
+    // ============================================================
+
+    const hex32 = v => (v >>> 0).toString(16).padStart(8, '0');
+    const hex64 = v => v.toString(16).padStart(16, '0');
+
+    // Known-answer vectors from the published reference implementations. Each case
+    // puts a generator at a documented starting point and lists its first outputs
+    // 'reference' vectors are published by the algorithm's authors or standard;
+    // 'regression' vectors were recorded from this implementation (for algorithms
+    // without published vectors) and only catch changes in behaviour
+    const SELF_TEST_VECTORS = [
+        {
+            name: 'mulberry32',
+            kind: 'regression',
+            source: 'Regression vector for Mulberry32 (Ettinger), state 1; no published vectors exist',
+            run: () => {
+                const g = new Mulberry32(1);
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['a087eaf3', '00b349c9', '8706c4eb', 'fb2627fd']
+        },
+        {
+            name: 'xoshiro128**',
+            kind: 'regression',
+            source: 'Regression vector for xoshiro128** 1.1 (Blackman & Vigna), s = {1, 2, 3, 4}',
+            run: () => {
+                const g = new Xoshiro128SS(0);
+                g.setState({ s: [1, 2, 3, 4], originalSeed: 0 });
+                return Array.from({ length: 6 }, () => hex32(g.nextInt()));
+            },
+            expected: ['00002d00', '00000000', '005a7080', '04389d80', '79199d9b', '61963b24']
+        },
+        {
+            name: 'xorshift128',
+            kind: 'regression',
+            source: 'Regression vector for xor128 from Marsaglia, "Xorshift RNGs" (2003), with its x, y, z, w = 123456789, 362436069, 521288629, 88675123',
+            run: () => {
+                const g = new Xorshift128Plus(0);
+                g.setState({ s: [88675123, 521288629, 362436069, 123456789], originalSeed: 0 });
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['dca345ea', '1b5116e6', '951049aa', 'd88d00b0']
+        },
+        {
+            name: 'pcg32',
+            kind: 'reference',
+            source: 'pcg32-demo (O\'Neill), seed 42, sequence 54',
+            run: () => {
+                const g = new PCG32(42, 54);
+                return Array.from({ length: 6 }, () => hex32(g.nextInt()));
+            },
+            expected: ['a15c02b7', '7b47f409', 'ba1d3330', '83d2f293', 'bfa4784b', 'cbed606e']
+        },
+        {
+            name: 'pcg32-legacy',
+            kind: 'regression',
+            source: 'Regression vector for SeedForge 1.x pcg32, seed 42, sequence 54',
+            run: () => {
+                const g = new PCG32Legacy(42, 54);
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['c0000000', 'a8000000', '02400000', '00006800']
+        },
+        {
+            name: 'sfc32',
+            kind: 'regression',
+            source: 'Regression vector for sfc32 (Doty-Humphrey), a, b, c, counter = 9e3779b9, 243f6a88, b7e15162, 1',
+            run: () => {
+                const g = new SFC32(0);
+                g.setState({ a: 0x9e3779b9, b: 0x243f6a88, c: 0xb7e15162, counter: 1, originalSeed: 0 });
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['c276e442', '9b1951b1', 'dc0d8d6b', '537f0496']
+        },
+        {
+            name: 'lcg',
+            kind: 'reference',
+            source: 'Numerical Recipes ranqd1 (a = 1664525, c = 1013904223), seed 0',
+            run: () => {
+                const g = new LCG(0);
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['3c6ef35f', '47502932', 'd1ccf6e9', 'aaf95334']
+        },
+        {
+            name: 'xoshiro256**',
+            kind: 'regression',
+            source: 'Regression vector for xoshiro256** 1.0 (Blackman & Vigna), s = {1, 2, 3, 4}',
+            run: () => {
+                const g = new Xoshiro256SS(0);
+                g.setState({ s: ['1', '2', '3', '4'], originalSeed: 0 });
+                return Array.from({ length: 4 }, () => hex64(g.nextBigInt()));
+            },
+            expected: ['0000000000002d00', '0000000000000000', '000000005a007080', '10e0000000009d80']
+        },
+        {
+            name: 'pcg64',
+            kind: 'reference',
+            source: 'pcg64-demo (O\'Neill), pcg64_srandom_r(42, 54)',
+            run: () => {
+                const g = new PCG64(0);
+                g.srandom(42n, 54n);
+                return Array.from({ length: 4 }, () => hex64(g.nextBigInt()));
+            },
+            expected: ['86b1da1d72062b68', '1304aa46c9853d39', 'a3670e9e0dd50358', 'f9090e529a7dae00']
+        },
+        {
+            name: 'splitmix64',
+            kind: 'regression',
+            source: 'Regression vector for splitmix64.c (Vigna), seed 1234567',
+            run: () => {
+                const g = new SplitMix64(0);
+                g.setState({ state: (1234567).toString(16), originalSeed: 0 });
+                return Array.from({ length: 3 }, () => hex64(g.nextBigInt()));
+            },
+            expected: ['599ed017fb08fc85', '2c73f08458540fa5', '883ebce5a3f27c77']
+        },
+        {
+            name: 'chacha20',
+            kind: 'reference',
+            source: 'RFC 7539 section 2.3.2 block function',
+            run: () => {
+                const key = Uint8Array.from({ length: 32 }, (_, i) => i);
+                const g = new ChaCha20(0, new Uint8Array([0, 0, 0, 0x4a, 0, 0, 0, 0]), 20, key);
+                g.seek((1n + (0x09000000n << 32n)) * 16n);
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['e4e7f110', '15593bd1', '1fdd0f50', 'c47120a3']
+        },
+        {
+            name: 'chacha12',
+            kind: 'reference',
+            source: 'draft-strombergson-chacha-test-vectors TC1, 256-bit zero key',
+            run: () => {
+                const g = new ChaCha20(0, 0, 12, new Uint8Array(32));
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['6a9af49b', '53f95507', '12ce1f81', 'd583265f']
+        },
+        {
+            name: 'chacha8',
+            kind: 'reference',
+            source: 'draft-strombergson-chacha-test-vectors TC1, 256-bit zero key',
+            run: () => {
+                const g = new ChaCha20(0, 0, 8, new Uint8Array(32));
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['2fef003e', 'd6405f89', 'e8b85b7f', 'a1a5091f']
+        },
+        {
+            name: 'philox',
+            kind: 'reference',
+            source: 'Random123 kat_vectors, philox4x32 10 with pi digits',
+            run: () => {
+                const g = new Philox4x32(0, 0x0370734413198a2en, [0xa4093822, 0x299f31d0]);
+                g.seek(0x85a308d3243f6a88n * 4n);
+                return Array.from({ length: 4 }, () => hex32(g.nextInt()));
+            },
+            expected: ['d16cfe09', '94fdcceb', '5001e420', '24126ea1']
+        },
+        {
+            name: 'cyrb128',
+            kind: 'regression',
+            source: 'Regression vector for cyrb128 (bryc), "SeedForge"',
+            run: () => cyrb128('SeedForge').map(hex32),
+            expected: ['70738d78', '7bb34457', '24fa5c5f', 'e4a6a07a']
+        },
+        {
+            name: 'stringToSeed',
+            kind: 'reference',
+            source: 'Java String.hashCode, "hello world"',
+            run: () => [hex32(stringToSeed('hello world'))],
+            expected: ['6aefe2c4']
+        }
+    ];
+
+    /**
+     * Check every built-in algorithm and the seeding hashes against known-answer
+     * vectors. Catches engines or transpilers that break Math.imul, >>> or BigInt
+     * @returns {{passed: boolean, total: number, failed: number, results: Object[]}}
+     *          One result per vector: { name, kind, source, passed, expected, actual, error? }
+     */
+    function selfTest() {
+        const results = SELF_TEST_VECTORS.map(({ name, kind, source, run, expected }) => {
+            try {
+                const actual = run();
+                const passed = actual.length === expected.length && actual.every((v, i) => v === expected[i]);
+                return { name, kind, source, passed, expected, actual };
+            } catch (e) {
+                return { name, kind, source, passed: false, expected, actual: null, error: e.message };
+            }
+        });
+        const failed = results.filter(r => !r.passed).length;
+        return { passed: failed === 0, total: results.length, failed, results };
+    }
+
     // ============================================================
     // EXPORTS
     // ============================================================
@@ -1997,6 +6363,9 @@
     const PRNG_Library = {
         // Main class
         PRNG,
+
+        // Call recorder for debugging desyncs
+        PRNGRecorder,
         
         // Algorithm classes (for direct use)
         Algorithms: {
@@ -2004,8 +6373,14 @@
             Xoshiro128SS,
             Xorshift128Plus,
             PCG32,
+            PCG32Legacy,
             SFC32,
-            LCG
+            LCG,
+            Xoshiro256SS,
+            PCG64,
+            SplitMix64,
+            ChaCha20,
+            Philox4x32
         },
         
         // Noise generators
@@ -2018,23 +6393,40 @@
             BillowedNoise
         },
         
+        // Register a custom generator class
+        registerAlgorithm,
+
+        // Known-answer checks for every algorithm
+        selfTest,
+
+        // Empirical quality tests
+        Stats,
+
+        // Reusable weighted picks
+        WeightedTable,
+
+        // Shareable seed codes with checksums
+        toSeedCode,
+        fromSeedCode,
+
         // Utility functions
         Utils: {
             stringToSeed,
             cyrb128,
+            hashSeed,
             splitmix64
         },
         
         // Factory function
-        create(seed, algorithm) {
-            return new PRNG(seed, algorithm);
+        create(seed, algorithm, options) {
+            return new PRNG(seed, algorithm, options);
         },
         
         // Quick access to a global instance
         _globalInstance: null,
         
-        seed(seed, algorithm = 'xoshiro128') {
-            this._globalInstance = new PRNG(seed, algorithm);
+        seed(seed, algorithm = 'xoshiro128', options) {
+            this._globalInstance = new PRNG(seed, algorithm, options);
             return this;
         },
         
@@ -12,8 +12,15 @@
 import PRNG_Library from '../dist/seedforge.js';
 
 export const PRNG = PRNG_Library.PRNG;
+export const PRNGRecorder = PRNG_Library.PRNGRecorder;
 export const Algorithms = PRNG_Library.Algorithms;
 export const Noise = PRNG_Library.Noise;
 export const Utils = PRNG_Library.Utils;
+export const registerAlgorithm = PRNG_Library.registerAlgorithm;
+export const selfTest = PRNG_Library.selfTest;
+export const Stats = PRNG_Library.Stats;
+export const toSeedCode = PRNG_Library.toSeedCode;
+export const fromSeedCode = PRNG_Library.fromSeedCode;
+export const WeightedTable = PRNG_Library.WeightedTable;
 
 export default PRNG_Library;
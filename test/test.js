@@ -4,7 +4,7 @@
  */
 
 const SeedForge = require('../dist/seedforge.js');
-const { PRNG, Noise, Algorithms } = SeedForge;
+const { PRNG, PRNGRecorder, Noise, Algorithms, Utils } = SeedForge;
 
 // Test utilities
 let passed = 0;
@@ -63,6 +63,33 @@ rng1.reset();
 const seq3 = Array.from({ length: 10 }, () => rng1.random());
 assert(seq1.every((v, i) => v === seq3[i]), 'reset() works');
 
+section('Seeding');
+
+const objectSeedA = new PRNG({ world: 'alpha', level: [1, 2n] }, 'xoshiro256');
+const objectSeedB = new PRNG({ level: [1, 2n], world: 'alpha' }, 'xoshiro256');
+assert(objectSeedA.random() === objectSeedB.random(), 'Object seeds ignore key order');
+assert(new PRNG(new Uint8Array([1, 2, 3]), 'sfc32').random() !== new PRNG([1, 2, 3], 'sfc32').random(), 'Byte and number array seeds differ');
+assert(new PRNG(2n ** 100n, 'pcg64').random() !== new PRNG(2n ** 100n + 1n, 'pcg64').random(), 'BigInt seeds keep bits above 2^64');
+assert(new PRNG(12, 'xoshiro128', { seeding: 'canonical' }).random() !== new PRNG('12', 'xoshiro128', { seeding: 'canonical' }).random(),
+    'Canonical seeding tells 12 and \'12\' apart');
+assert(new PRNG('seed', 'xoshiro128').random() === new PRNG('seed', 'xoshiro128', { seeding: 'legacy' }).random(), 'Legacy seeding is the default');
+
+for (const algo of ['mulberry32', 'xoshiro128', 'pcg32', 'xoshiro256', 'chacha20', 'philox']) {
+    const structured = new PRNG({ id: 7, tags: ['a', 'b'] }, algo);
+    const first = structured.random();
+    const restored = new PRNG();
+    restored.setState(JSON.parse(JSON.stringify(structured.getState())));
+    const sameNext = restored.random() === structured.random();
+    restored.reset();
+    assert(sameNext && restored.random() === first, `${algo} structured seed survives JSON state and reset()`);
+}
+
+assert(Utils.hashSeed({ b: 1, a: 2 }, 8).length === 8 &&
+    Utils.hashSeed({ b: 1, a: 2 }).every((w, i) => w === Utils.hashSeed({ a: 2, b: 1 })[i]), 'hashSeed() is canonical and sized');
+let badSeedThrew = false;
+try { new PRNG(new Map(), 'sfc32'); } catch (e) { badSeedThrew = true; }
+assert(badSeedThrew, 'Unsupported seed types throw');
+
 section('State Management');
 
 const rngState = new PRNG('state-test', 'pcg32');
@@ -80,6 +107,192 @@ const origSeq = Array.from({ length: 10 }, () => rngState.random());
 const cloneSeq = Array.from({ length: 10 }, () => cloned.random());
 assert(cloneSeq.every((v, i) => v === origSeq[i]), 'clone() works');
 
+section('Serialization');
+
+for (const algo of ['mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg', 'xoshiro256', 'pcg64', 'splitmix64', 'chacha20', 'philox']) {
+    const original = new PRNG('serialize-test', algo, { stream: 2n ** 40n, nonce: 7n });
+    original.random();
+    original.normal();
+    const packed = original.serialize();
+    const query = new URLSearchParams(`state=${packed}`);
+    const unpacked = PRNG.deserialize(query.get('state'));
+    const sameRun = unpacked.normal() === original.normal() && unpacked.random() === original.random();
+    unpacked.reset();
+    original.reset();
+    assert(sameRun && unpacked.random() === original.random() && /^sf1\.[\w-]+\.[\w-]+\.[0-9a-f]{8}$/.test(packed),
+        `${algo} serialize()/deserialize() round-trip through a URL query string`);
+}
+
+const packedLcg = new PRNG('packet', 'lcg', { a: 5, c: 3, m: 97 }).serialize();
+assert(PRNG.deserialize(packedLcg).generator.m === 97, 'deserialize() restores LCG constants');
+
+function deserializeError(str) {
+    try { PRNG.deserialize(str); } catch (e) { return e.message; }
+    return '';
+}
+assert(/not a SeedForge/.test(deserializeError('hello')), 'deserialize() rejects foreign strings');
+assert(/version 9/.test(deserializeError(packedLcg.replace('sf1', 'sf9'))), 'deserialize() rejects unknown versions');
+const corrupted = packedLcg.slice(0, 12) + (packedLcg[12] === 'A' ? 'B' : 'A') + packedLcg.slice(13);
+assert(/checksum/.test(deserializeError(corrupted)), 'deserialize() detects corruption');
+const foreignBody = packedLcg.slice(0, packedLcg.lastIndexOf('.')).replace('.lcg.', '.not-loaded.');
+const foreignPacket = `${foreignBody}.${Utils.cyrb128(foreignBody)[0].toString(16).padStart(8, '0')}`;
+assert(/unknown algorithm: not-loaded/.test(deserializeError(foreignPacket)), 'deserialize() names unregistered algorithms');
+
+section('Seed Codes');
+
+assert(SeedForge.fromSeedCode('MOSS-RAVEN-1427') === 32169 && SeedForge.toSeedCode(32169) === 'MOSS-RAVEN-1427', 'Word seed codes round-trip');
+assert(SeedForge.fromSeedCode('  moss raven 1427 ') === 32169, 'Word seed codes ignore case and separators');
+const sharedWorld = new PRNG(SeedForge.fromSeedCode(SeedForge.toSeedCode(2468013579)));
+assert(sharedWorld.random() === new PRNG(2468013579).random(), 'A decoded seed code reproduces the world');
+const base32Code = SeedForge.toSeedCode(2468013579, { format: 'base32' });
+assert(/^[0-9A-Z]{5}-[0-9A-Z]{5}$/.test(base32Code) && SeedForge.fromSeedCode(base32Code.toLowerCase()) === 2468013579, 'Base32 seed codes round-trip');
+assert(SeedForge.fromSeedCode('0000Z-D9CS4') === SeedForge.fromSeedCode('oooOz-d9cs4'), 'Base32 seed codes read O as 0');
+assert(SeedForge.toSeedCode(6, { format: 'base32' }) === '00000-06670' && SeedForge.fromSeedCode('00000-06670') === 6, 'Base32 seed codes whose last group is all digits decode');
+const codeRng = new PRNG('seed-code-sweep');
+const sweepSeeds = Array.from({ length: 5000 }, () => codeRng.randomInt()).concat([0, 1, 0xFFFFFFFF]);
+assert(sweepSeeds.every(seed => SeedForge.fromSeedCode(SeedForge.toSeedCode(seed)) === seed &&
+    SeedForge.fromSeedCode(SeedForge.toSeedCode(seed, { format: 'base32' })) === seed), 'Seed codes round-trip for many seeds in both formats');
+
+function seedCodeError(code) {
+    try { SeedForge.fromSeedCode(code); } catch (e) { return e.message; }
+    return '';
+}
+assert(/checksum mismatch/.test(seedCodeError('MOSS-RAVEN-1428')) && /checksum mismatch/.test(seedCodeError('RAVEN-MOSS-1427')), 'Seed codes detect wrong and swapped parts');
+assert(/did you mean MOSS/.test(seedCodeError('MOS-RAVEN-1427')), 'Seed codes suggest the closest word for a misspelling');
+assert(/checksum mismatch/.test(seedCodeError(base32Code.replace(/^./, c => c === '3' ? '4' : '3'))), 'Base32 seed codes detect typos');
+
+const stateCoded = new PRNG({ world: 'codes' }, 'philox');
+stateCoded.normal();
+const stateCode = stateCoded.toStateCode();
+const stateDecoded = PRNG.fromStateCode(stateCode.toLowerCase());
+assert(stateDecoded.normal() === stateCoded.normal() && stateDecoded.random() === stateCoded.random(), 'State codes restore the full generator state');
+let stateCodeThrows = false;
+try { PRNG.fromStateCode(stateCode.replace(/-(.)/, (_, c) => `-${c === 'A' ? 'B' : 'A'}`)); } catch (e) { stateCodeThrows = /checksum mismatch/.test(e.message); }
+assert(stateCodeThrows, 'State codes detect typos');
+
+section('Draw Counting');
+
+const counted = new PRNG('count', 'xoshiro128');
+counted.random();
+counted.normal();
+counted.fillUint32(new Uint32Array(4));
+assert(counted.draws === 7, 'draws counts raw values consumed');
+assert(counted.getState().draws === 7 && PRNG.deserialize(counted.serialize()).draws === 7 && counted.clone().draws === 7,
+    'draws is part of the saved state');
+counted.reset();
+assert(counted.draws === 0, 'reset() clears draws');
+const countedWide = new PRNG('count', 'pcg64', { precision: 53 });
+countedWide.random();
+countedWide.randomBigInt();
+assert(countedWide.draws === 2, '64-bit algorithms count one draw per 64-bit value');
+
+const drawCalls = [];
+const stopListening = counted.onDraw(call => drawCalls.push(`${call.method}:${call.draws}`));
+counted.normal();
+counted.normal();
+counted.shuffle([1, 2, 3, 4]);
+counted.int(1, 6);
+counted.advance(5);
+assert(drawCalls.join() === 'normal:2,normal:0,shuffle:3,int:1,advance:5', 'onDraw() reports outermost calls with their draw counts');
+stopListening();
+counted.random();
+assert(drawCalls.length === 5 && !Object.prototype.hasOwnProperty.call(counted, 'random'), 'Removing the last listener uninstalls the hooks');
+
+section('Checkpoints');
+
+for (const algo of ['mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg', 'xoshiro256', 'pcg64', 'splitmix64', 'chacha20', 'philox']) {
+    const frames = new PRNG('rollback', algo);
+    frames.random();
+    frames.checkpoint(1);
+    const expected = [frames.random(), frames.int(1, 100), frames.randomBigInt(), frames.draws];
+    frames.rollback(1);
+    const replayed = [frames.random(), frames.int(1, 100), frames.randomBigInt(), frames.draws];
+    assert(replayed.every((v, i) => v === expected[i]), `${algo} rollback() restores the checkpointed state`);
+}
+
+const netcode = new PRNG('netcode', 'pcg32', { history: 3 });
+netcode.normal();
+netcode.checkpoint(10);
+const spareAfter = netcode.normal();
+netcode.checkpoint(11);
+netcode.random();
+netcode.checkpoint(12);
+netcode.rollback(10);
+assert(netcode.normal() === spareAfter, 'rollback() restores the cached spare normal');
+assert(netcode.hasCheckpoint(10) && !netcode.hasCheckpoint(11), 'rollback() keeps the target frame and drops newer ones');
+netcode.checkpoint(11);
+netcode.checkpoint(12);
+netcode.checkpoint(13);
+assert(!netcode.hasCheckpoint(10) && netcode.hasCheckpoint(11) && netcode.hasCheckpoint(13), 'A full history overwrites the oldest checkpoint');
+netcode.checkpoint(12);
+assert(!netcode.hasCheckpoint(13), 'Re-checkpointing an earlier frame discards newer checkpoints');
+
+const peers = [new PRNG('peer-a', 'xoshiro128'), new PRNG('peer-b', 'philox')];
+PRNG.checkpointAll(peers, 5);
+peers[1].checkpoint(6);
+peers.forEach(rng => rng.random());
+const peerDraws = peers.map(rng => rng.draws);
+let groupThrows = false;
+try { PRNG.rollbackAll(peers, 6); } catch (e) { groupThrows = true; }
+assert(groupThrows && peers.every((rng, i) => rng.draws === peerDraws[i]), 'rollbackAll() changes nothing if any generator lacks the frame');
+PRNG.rollbackAll(peers, 5);
+assert(peers.every(rng => rng.draws === 0), 'rollbackAll() rolls every generator back');
+
+section('Named Streams');
+
+const worldRoot = new PRNG('world-1', 'xoshiro128');
+const chunkFirst = worldRoot.stream('world/terrain/chunk:3,4').random();
+for (let i = 0; i < 25; i++) worldRoot.random();
+worldRoot.fork('new-feature');
+assert(worldRoot.stream('world/terrain/chunk:3,4').random() === chunkFirst, 'stream() ignores parent draws and forks');
+assert(worldRoot.stream('world').stream('terrain').stream('chunk:3,4').random() === chunkFirst, 'Nested stream() equals the joined path');
+assert(worldRoot.stream(['world', 'terrain', 'chunk:3,4']).random() === chunkFirst, 'stream() accepts an array of segments');
+assert(worldRoot.stream('world/terrain/chunk:3,5').random() !== chunkFirst, 'Different paths give different streams');
+assert(new PRNG('world-2', 'xoshiro128').stream('world/terrain/chunk:3,4').random() !== chunkFirst, 'Streams depend on the root seed');
+assert(PRNG.deserialize(worldRoot.serialize()).stream('world/terrain/chunk:3,4').random() === chunkFirst &&
+    worldRoot.clone().stream('world/terrain/chunk:3,4').random() === chunkFirst, 'Streams survive serialize() and clone()');
+const savedWorld = new PRNG();
+savedWorld.setState(JSON.parse(JSON.stringify(worldRoot.getState())));
+assert(savedWorld.stream('world/terrain/chunk:3,4').random() === chunkFirst, 'Streams survive getState()/setState()');
+let emptySegmentThrew = false;
+try { worldRoot.stream('world//chunk'); } catch (e) { emptySegmentThrew = true; }
+assert(emptySegmentThrew, 'stream() rejects empty path segments');
+
+section('Record and Replay');
+
+function lockstepTurn(rng, recorder, extraDraw) {
+    recorder.withTag('deal', () => rng.shuffle([1, 2, 3, 4, 5, 6]));
+    recorder.tag = 'ai';
+    rng.pick(['north', 'south', 'east']);
+    rng.normal(10, 2);
+    const loot = rng.fork('loot');
+    loot.int(1, 100);
+    if (extraDraw) rng.random();
+    rng.int(1, 6);
+}
+
+const hostRecorder = new PRNGRecorder(new PRNG('match-7', 'pcg32'), { tag: 'setup' });
+lockstepTurn(hostRecorder.prng, hostRecorder, false);
+const hostLog = JSON.parse(JSON.stringify(hostRecorder.export()));
+assert(hostLog.entries.map(e => `${e.id}:${e.method}`).join() === 'root:shuffle,root:pick,root:normal,root:fork,root/fork0:int,root:int',
+    'Recorder logs distributions, shuffle, pick, fork and forked children');
+assert(hostLog.entries[0].tag === 'deal' && hostLog.entries[1].tag === 'ai' && hostLog.entries[0].args[0].length === 6,
+    'Recorder keeps caller tags and call-time arguments');
+
+const peerRecorder = new PRNGRecorder(new PRNG('match-7', 'pcg32'), { verify: hostLog });
+lockstepTurn(peerRecorder.prng, peerRecorder, false);
+assert(peerRecorder.report() === null, 'Verify mode accepts an identical run');
+
+const desyncRecorder = new PRNGRecorder(new PRNG('match-7', 'pcg32'), { verify: hostLog });
+lockstepTurn(desyncRecorder.prng, desyncRecorder, true);
+const desync = desyncRecorder.report();
+assert(desync && desync.index === 5 && desync.actual.method === 'random' && desync.differences.includes('method'),
+    'Verify mode reports the first differing call');
+
+assert(PRNGRecorder.replay(hostLog) === null, 'replay() repeats a log without divergence');
+hostLog.entries[2].result += 1;
+assert(PRNGRecorder.replay(hostLog).index === 2, 'replay() finds a tampered result');
+
 section('Distributions');
 
 const distRng = new PRNG('dist-test');
@@ -96,6 +309,74 @@ const exps = Array.from({ length: 10000 }, () => distRng.exponential(0.5));
 const expMean = exps.reduce((a, b) => a + b) / exps.length;
 assert(Math.abs(expMean - 2) < 0.1, `exponential(0.5) mean: ${expMean.toFixed(2)} (expected ~2)`);
 
+section('Multivariate Distributions');
+
+const mvRng = new PRNG('multivariate');
+const mvCov = [[4, 1.2], [1.2, 1]];
+const mvSamples = Array.from({ length: 20000 }, () => mvRng.multivariateNormal([1, -2], mvCov));
+const mvMean = [0, 1].map(i => mvSamples.reduce((sum, x) => sum + x[i], 0) / mvSamples.length);
+const mvCovariance = mvSamples.reduce((sum, x) => sum + (x[0] - mvMean[0]) * (x[1] - mvMean[1]), 0) / mvSamples.length;
+assert(Math.abs(mvMean[0] - 1) < 0.05 && Math.abs(mvMean[1] + 2) < 0.05 && Math.abs(mvCovariance - 1.2) < 0.06, 'multivariateNormal() has the requested mean and covariance');
+mvCov[0][1] = mvCov[1][0] = 0;
+const uncorrelated = Array.from({ length: 20000 }, () => mvRng.multivariateNormal([0, 0], mvCov));
+assert(Math.abs(uncorrelated.reduce((sum, x) => sum + x[0] * x[1], 0) / 20000) < 0.06, 'multivariateNormal() refactors a covariance matrix changed in place');
+const degenerate = mvRng.multivariateNormal([0, 0], [[1, 1], [1, 1]]);
+assert(degenerate[0] === degenerate[1], 'multivariateNormal() accepts semi-definite matrices');
+
+function mvError(mean, cov) {
+    try { mvRng.multivariateNormal(mean, cov); } catch (e) { return e.message; }
+    return '';
+}
+assert(/not symmetric/.test(mvError([0, 0], [[1, 2], [3, 4]])), 'multivariateNormal() rejects asymmetric matrices');
+assert(/not positive semi-definite/.test(mvError([0, 0], [[1, 2], [2, 1]])), 'multivariateNormal() rejects indefinite matrices');
+assert(/must be 2 x 2/.test(mvError([0, 0], [[1]])), 'multivariateNormal() rejects mismatched dimensions');
+
+const proportions = mvRng.dirichlet([1, 2, 7]);
+assert(proportions.length === 3 && Math.abs(proportions.reduce((a, b) => a + b, 0) - 1) < 1e-12, 'dirichlet() returns proportions summing to 1');
+const dirichletMean = Array.from({ length: 5000 }, () => mvRng.dirichlet([1, 2, 7])[2]).reduce((a, b) => a + b, 0) / 5000;
+assert(Math.abs(dirichletMean - 0.7) < 0.01, 'dirichlet() components have mean alpha / sum(alphas)');
+
+const multinomialCounts = mvRng.multinomial(1000, [0.2, 0, 0.3, 0.5]);
+assert(multinomialCounts.reduce((a, b) => a + b, 0) === 1000 && multinomialCounts[1] === 0, 'multinomial() counts sum to n and skip empty categories');
+assert(mvRng.multinomial(10, [2, 6, 2]).reduce((a, b) => a + b, 0) === 10, 'multinomial() accepts weights');
+// A binomial() that always leaves a trial over, as rounding in the conditional probabilities can
+const leftoverRng = new PRNG('leftover');
+leftoverRng.binomial = n => Math.max(0, n - 1);
+assert(leftoverRng.multinomial(10, [0.3, 0.7, 0]).join() === '9,1,0', 'multinomial() gives leftover trials to the last non-zero category');
+const tinyDirichlet = mvRng.dirichlet([1e-300, 1e-300, 2e-300]);
+assert(tinyDirichlet.every(v => v === 0 || v === 1) && tinyDirichlet.reduce((a, b) => a + b, 0) === 1, 'dirichlet() stays finite when every gamma draw underflows');
+let multinomialThrows = false;
+try { mvRng.multinomial(10, [0.5, -0.5]); } catch (e) { multinomialThrows = true; }
+assert(multinomialThrows, 'multinomial() rejects negative probabilities');
+
+section('Precomputed Samplers');
+
+const samplerRng = new PRNG(12345);
+const zipfSampler = samplerRng.sampler('zipf', { n: 1000, s: 1.1 });
+assert(SeedForge.Stats.goodnessOfFit({ zipf: () => zipfSampler.sample() }, 'zipf', [1000, 1.1]).verdict !== 'fail', 'zipf sampler follows zipf()');
+const wideZipf = samplerRng.sampler('zipf', { n: 50000, s: 1.1 });
+const wideZipfStart = Date.now();
+assert(SeedForge.Stats.goodnessOfFit({ zipf: () => wideZipf.sample() }, 'zipf', [50000, 1.1]).verdict !== 'fail', 'zipf goodnessOfFit() handles a large n');
+assert(Date.now() - wideZipfStart < 2000, 'zipf pmf does not recompute its normalizer per call');
+const uniformZipf = samplerRng.sampler('zipf', { n: 20, s: 0 });
+assert(SeedForge.Stats.goodnessOfFit({ zipf: () => uniformZipf.sample() }, 'zipf', [20, 0]).verdict !== 'fail', 'zipf sampler handles s = 0');
+const hyperSampler = samplerRng.sampler('hypergeometric', { N: 100, K: 30, n: 20 });
+assert(SeedForge.Stats.goodnessOfFit({ hypergeometric: () => hyperSampler.sample() }, 'hypergeometric', [100, 30, 20]).verdict !== 'fail', 'hypergeometric sampler follows hypergeometric()');
+const discreteSampler = samplerRng.sampler('discrete', { weights: [1, 0, 3], values: ['a', 'b', 'c'] });
+const discreteCounts = { a: 0, b: 0, c: 0 };
+for (const v of discreteSampler.samples(8000)) discreteCounts[v]++;
+assert(discreteCounts.b === 0 && Math.abs(discreteCounts.c / 8000 - 0.75) < 0.03, 'discrete sampler follows its weights');
+const boundA = zipfSampler.bind(new PRNG(7));
+const boundB = zipfSampler.bind(new PRNG(7));
+assert(boundA.samples(50).join() === boundB.samples(50).join(), 'bound samplers draw from their own generator');
+const samplerOut = new Float64Array(10);
+assert(hyperSampler.samples(10, samplerOut) === samplerOut && samplerOut.every(v => v >= 0 && v <= 20), 'samples() fills the output array');
+for (const [name, params] of [['zipf', { n: 0 }], ['hypergeometric', { N: 10, K: 11, n: 2 }], ['discrete', { weights: [0, 0] }], ['poisson', {}]]) {
+    let samplerThrows = false;
+    try { samplerRng.sampler(name, params); } catch (e) { samplerThrows = true; }
+    assert(samplerThrows, `sampler('${name}') rejects invalid parameters`);
+}
+
 section('Array Utilities');
 
 const arrRng = new PRNG('array-test');
@@ -111,6 +392,97 @@ assert(items.includes(picked), `pick() returns valid item: ${picked}`);
 const sampled = arrRng.sample(items, 3);
 assert(sampled.length === 3 && new Set(sampled).size === 3, 'sample(3) returns 3 unique items');
 
+for (const mode of ['alias', 'fenwick']) {
+    const table = SeedForge.WeightedTable.fromObject({ gold: 50, potion: 30, weapon: 15, artifact: 5 }, { mode });
+    table.set('potion', 0).set('gem', 20);
+    assert(table.remove('weapon') && !table.remove('weapon') && table.size === 4 && table.total === 75, `WeightedTable (${mode}) set()/remove() update the table`);
+    const tableRng = new PRNG('weighted-table');
+    const tableCounts = {};
+    for (let i = 0; i < 15000; i++) {
+        const item = table.pick(tableRng);
+        tableCounts[item] = (tableCounts[item] || 0) + 1;
+    }
+    assert(!tableCounts.potion && !tableCounts.weapon && Math.abs(tableCounts.gold / 15000 - 50 / 75) < 0.02 && Math.abs(tableCounts.gem / 15000 - 20 / 75) < 0.02, `WeightedTable (${mode}) picks in proportion to the weights`);
+    const restored = SeedForge.WeightedTable.fromJSON(JSON.stringify(table));
+    const restoredA = new PRNG(3), restoredB = new PRNG(3);
+    assert(restored.mode === mode && Array.from({ length: 20 }, () => restored.pick(restoredA)).join() === Array.from({ length: 20 }, () => table.pick(restoredB)).join(), `WeightedTable (${mode}) survives a JSON round trip`);
+}
+const fenwickTable = new SeedForge.WeightedTable([], [], { mode: 'fenwick' });
+for (let i = 0; i < 200; i++) fenwickTable.set(i % 37, (i * 7) % 11);
+for (let i = 0; i < 37; i += 3) fenwickTable.remove(i);
+const fenwickFresh = new SeedForge.WeightedTable(fenwickTable.items, fenwickTable.items.map(item => fenwickTable.weight(item)), { mode: 'fenwick' });
+const fenwickA = new PRNG(9), fenwickB = new PRNG(9);
+assert(Array.from({ length: 200 }, () => fenwickTable.pick(fenwickA)).join() === Array.from({ length: 200 }, () => fenwickFresh.pick(fenwickB)).join(), 'WeightedTable (fenwick) after updates picks like a freshly built table');
+for (const mode of ['alias', 'fenwick']) {
+    const zeroed = new SeedForge.WeightedTable(['a', 'b', 'c', 'd', 'e'], [0.1, 0.2, 0, 0, 0], { mode });
+    zeroed.set('a', 0);
+    assert(zeroed.pick(new PRNG(1)) === 'b', `WeightedTable (${mode}) skips zero-weight items`);
+    zeroed.set('b', 0);
+    let zeroedThrows = false;
+    try { zeroed.pick(new PRNG(1)); } catch (e) { zeroedThrows = true; }
+    assert(zeroed.total === 0 && zeroedThrows, `WeightedTable (${mode}) is all zero after zeroing every weight`);
+}
+let weightedTableThrows = 0;
+for (const build of [() => new SeedForge.WeightedTable(['a', 'a'], [1, 1]), () => new SeedForge.WeightedTable(['a'], [-1]), () => new SeedForge.WeightedTable(['a'], [0]).pick(arrRng)]) {
+    try { build(); } catch (e) { weightedTableThrows++; }
+}
+assert(weightedTableThrows === 3, 'WeightedTable rejects duplicates, negative weights and all-zero picks');
+
+section('Bulk Generation');
+
+const bulkRng = new PRNG('bulk-test', 'sfc32');
+const scalarRng = new PRNG('bulk-test', 'sfc32');
+
+const u32 = bulkRng.fillUint32(new Uint32Array(100));
+assert(Array.from(u32).every(v => v === scalarRng.randomInt()), 'fillUint32() matches randomInt() loop');
+
+const f64 = bulkRng.fill(new Float64Array(100));
+assert(Array.from(f64).every(v => v === scalarRng.random()), 'fill(Float64Array) matches random() loop');
+
+const f32 = bulkRng.fillFloat32(new Float32Array(100));
+assert(Array.from(f32).every(v => v === Math.fround(scalarRng.random()) && v < 1), 'fillFloat32() matches random() loop');
+
+const bulkNormals = bulkRng.fillNormal(new Float64Array(101), 5, 2);
+assert(Array.from(bulkNormals).every(v => v === scalarRng.normal(5, 2)), 'fillNormal() matches normal() loop');
+
+const bulkInts = bulkRng.fillInt(new Int32Array(100), -5, 5);
+assert(Array.from(bulkInts).every(v => v === scalarRng.int(-5, 5)), 'fillInt() matches int() loop');
+
+const bulkFloats = bulkRng.fillFloat(new Float64Array(100), 10, 20);
+assert(Array.from(bulkFloats).every(v => v === scalarRng.float(10, 20)), 'fillFloat() matches float() loop');
+
+const clamped = bulkRng.fill(new Uint8ClampedArray(200));
+const clampedExpected = Array.from({ length: 200 }, () => scalarRng.randomInt() & 0xFF);
+assert(Array.from(clamped).every((v, i) => v === clampedExpected[i]), 'fill(Uint8ClampedArray) masks to the low byte');
+assert(Array.from(clamped).some(v => v !== 255), 'fill(Uint8ClampedArray) does not clamp every value to 255');
+
+const target = new Float64Array(10);
+assert(bulkRng.fill(target) === target, 'fill() returns the array it was given');
+
+const batchRng = new PRNG('batch-test', 'sfc32');
+const batchScalar = new PRNG('batch-test', 'sfc32');
+const batchNormals = batchRng.normals(51, 1, 3);
+assert(batchNormals instanceof Float64Array && Array.from(batchNormals).every(v => v === batchScalar.normal(1, 3)), 'normals() matches normal() loop');
+const batchOut = new Float64Array(20);
+assert(batchRng.exponentials(10, 2, batchOut) === batchOut && Array.from(batchOut.subarray(0, 10)).every(v => v === batchScalar.exponential(2)) && batchOut[10] === 0,
+    'exponentials() fills the first n values of out');
+let shortOutThrows = false;
+try { batchRng.normals(5, 0, 1, new Float64Array(4)); } catch (e) { shortOutThrows = true; }
+assert(shortOutThrows, 'normals() rejects an output array that is too short');
+
+const zigRng = new PRNG('ziggurat', 'pcg32', { normalMethod: 'ziggurat', exponentialMethod: 'ziggurat' });
+const zigNormals = zigRng.normals(1000);
+assert(Array.from(zigNormals).every((v, i) => v === new PRNG('ziggurat', 'pcg32', { normalMethod: 'ziggurat' }).normals(1000)[i]),
+    'Ziggurat normals are reproducible');
+assert(zigNormals[0] !== new PRNG('ziggurat', 'pcg32').normal(), 'normalMethod selects the normal() algorithm');
+assert(zigRng.draws >= 1000 && zigRng.draws < 1030, 'Ziggurat normal() usually takes one draw');
+assert(SeedForge.Stats.goodnessOfFit(zigRng, 'normal', [2, 0.5], { samples: 20000 }).verdict !== 'fail', 'Ziggurat normal() fits the normal distribution');
+assert(SeedForge.Stats.goodnessOfFit(zigRng, 'exponential', [3], { samples: 20000 }).verdict !== 'fail', 'Ziggurat exponential() fits the exponential distribution');
+assert(zigRng.clone().normal() === zigRng.normal() && PRNG.deserialize(zigRng.serialize()).exponential() === zigRng.exponential(), 'Ziggurat options survive clone() and serialize()');
+let normalMethodThrows = false;
+try { new PRNG('x', 'pcg32', { normalMethod: 'box-muller' }); } catch (e) { normalMethodThrows = true; }
+assert(normalMethodThrows, 'Unknown normalMethod throws');
+
 section('Geometric Utilities');
 
 const geoRng = new PRNG('geo-test');
@@ -240,9 +612,398 @@ assert(typeof warpValue === 'number' && !isNaN(warpValue), 'SimplexNoise.warp()
 const turbValue = simplex.turbulence(1.5, 2.3, null, 4, 2, 0.5);
 assert(typeof turbValue === 'number' && !isNaN(turbValue) && turbValue >= 0, 'SimplexNoise.turbulence() works');
 
+section('64-bit Generators');
+
+const xo256 = new Algorithms.Xoshiro256SS(1);
+xo256.s = [1n, 2n, 3n, 4n];
+const xoRef = [xo256.nextBigInt(), xo256.nextBigInt(), xo256.nextBigInt(), xo256.nextBigInt()];
+assert(xoRef.join(',') === '11520,0,1509978240,1215971899390074240', 'xoshiro256** matches reference output');
+
+const pcg64 = new Algorithms.PCG64(0, 54);
+pcg64.state = 0n;
+pcg64._step();
+pcg64.state += 42n;
+pcg64._step();
+assert(pcg64.nextBigInt() === 0x86b1da1d72062b68n, 'PCG64 matches reference output');
+
+for (const algo of ['xoshiro256', 'pcg64', 'splitmix64']) {
+    const r = new PRNG('wide-test', algo);
+    const big = r.randomBigInt();
+    assert(typeof big === 'bigint' && big >= 0n && big < (1n << 64n), `${algo} randomBigInt() is 64-bit`);
+
+    const state = JSON.parse(JSON.stringify(r.getState()));
+    const before = Array.from({ length: 5 }, () => r.random());
+    r.setState(state);
+    const after = Array.from({ length: 5 }, () => r.random());
+    assert(before.every((v, i) => v === after[i]), `${algo} state survives JSON round-trip`);
+}
+
+const bigFrom32 = new PRNG('wide-test', 'sfc32').randomBigInt();
+assert(typeof bigFrom32 === 'bigint' && bigFrom32 < (1n << 64n), 'randomBigInt() works on 32-bit generators');
+
+section('Skip-Ahead');
+
+const pcgRef = new Algorithms.PCG32(42, 54);
+assert(pcgRef.nextInt() === 0xa15c02b7 && pcgRef.nextInt() === 0x7b47f409, 'PCG32 matches reference output');
+const legacyPcg = new PRNG('legacy-test', 'pcg32-legacy');
+assert(legacyPcg.random() === 0.00000858306884765625 && legacyPcg.random() === 5.364418029785156e-7, 'pcg32-legacy reproduces 1.x pcg32 sequences');
+const legacyStepped = new PRNG('legacy-test', 'pcg32-legacy', { stream: 5 });
+const legacyAdvanced = legacyStepped.clone().advance(100);
+for (let i = 0; i < 100; i++) legacyStepped.randomInt();
+assert(legacyStepped.randomInt() === legacyAdvanced.randomInt() && legacyAdvanced.generator instanceof Algorithms.PCG32Legacy, 'pcg32-legacy advance() and clone() stay legacy');
+
+for (const algo of ['mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg', 'xoshiro256', 'pcg64', 'splitmix64', 'chacha20', 'philox']) {
+    const stepped = new PRNG('skip-test', algo);
+    const skipped = new PRNG('skip-test', algo);
+    for (let i = 0; i < 1000; i++) {
+        if (stepped.generator.nextBigInt) stepped.generator.nextBigInt();
+        else stepped.randomInt();
+    }
+    skipped.advance(1000);
+    assert(stepped.random() === skipped.random(), `${algo} advance(1000) matches 1000 draws`);
+}
+
+const jumped = new Algorithms.Xoshiro128SS('skip-test');
+const advanced = jumped.clone();
+jumped.jump();
+advanced.advance(2n ** 64n);
+assert(jumped.nextInt() === advanced.nextInt(), 'xoshiro128 advance(2^64) equals jump()');
+
+const farRng = new PRNG('skip-test', 'pcg32');
+farRng.advance(2n ** 50n).advance(2n ** 50n);
+const farRng2 = new PRNG('skip-test', 'pcg32').advance(2n ** 51n);
+assert(farRng.random() === farRng2.random(), 'advance() composes for huge skips');
+let drawsOverflowThrows = false;
+try { farRng.advance(2n ** 53n); } catch (e) { drawsOverflowThrows = true; }
+assert(drawsOverflowThrows && farRng.draws === 2 ** 51 + 1, 'advance() rejects skips that would make draws inexact');
+
+section('Generator Options');
+
+const stream42 = new PRNG('world-seed', 'pcg32', { stream: 42 });
+const stream43 = new PRNG('world-seed', 'pcg32', { stream: 43 });
+assert(stream42.random() !== stream43.random(), 'pcg32 streams differ for the same seed');
+assert(stream42.generator.originalSequence === 42, 'stream option reaches PCG32');
+
+const streamState = JSON.parse(JSON.stringify(stream42.getState()));
+const streamNext = stream42.random();
+const streamRestored = new PRNG();
+streamRestored.setState(streamState);
+assert(streamRestored.random() === streamNext && streamRestored.options.stream === 42, 'stream survives getState()/setState()');
+assert(stream42.clone().generator.originalSequence === 42, 'stream survives clone()');
+const detachedState = stream42.getState();
+detachedState.options.stream = 7;
+assert(stream42.options.stream === 42 && detachedState.options !== stream42.options, 'getState() returns a copy of the options');
+
+stream42.reset();
+assert(stream42.random() === new PRNG('world-seed', 'pcg32', { stream: 42 }).random(), 'stream survives reset()');
+
+const wideStream = new PRNG('world-seed', 'pcg32', { stream: 2 ** 40 });
+const wideNext = wideStream.clone().random();
+assert(wideNext !== new PRNG('world-seed', 'pcg32', { stream: 0 }).random(), 'pcg32 accepts streams beyond 2^31');
+
+const customLcg = new PRNG('world-seed', 'lcg', { a: 22695477, c: 1 });
+assert(customLcg.generator.a === 22695477 && customLcg.generator.c === 1, 'LCG constants come from options');
+
+section('Precision');
+
+const coarse = new PRNG('precision-test', 'sfc32');
+const fine = new PRNG('precision-test', 'sfc32', { precision: 53 });
+const fineDirect = new PRNG('precision-test', 'sfc32');
+const fineValues = Array.from({ length: 1000 }, () => fine.random());
+assert(fineValues.every(v => v >= 0 && v < 1), 'precision 53 random() in [0, 1)');
+assert(fineValues.some(v => (v * 4294967296) % 1 !== 0), 'precision 53 yields more than 32 bits');
+assert(fineDirect.random53() === new PRNG('precision-test', 'sfc32', { precision: 53 }).random(), 'random53() matches precision 53 random()');
+assert(coarse.random() * 4294967296 % 1 === 0, 'default precision stays 32-bit');
+
+fine.reset();
+fine.normal();
+assert(fine.clone().options.precision === 53, 'precision option survives clone()');
+
+let badPrecision = false;
+try { new PRNG('x', 'sfc32', { precision: 64 }); } catch (e) { badPrecision = true; }
+assert(badPrecision, 'invalid precision throws');
+
+section('Integer Ranges');
+
+const lemire = new PRNG('int-test', 'pcg32', { intMethod: 'lemire' });
+const buckets = [0, 0, 0];
+let lemireInRange = true;
+for (let i = 0; i < 30000; i++) {
+    const v = lemire.int(0, 2);
+    if (v < 0 || v > 2 || !Number.isInteger(v)) lemireInRange = false;
+    else buckets[v]++;
+}
+assert(lemireInRange, "intMethod 'lemire' int(0, 2) in range");
+assert(buckets.every(c => Math.abs(c - 10000) < 500), `intMethod 'lemire' is uniform: ${buckets.join(', ')}`);
+
+const legacyA = new PRNG('int-test', 'sfc32');
+const legacyB = new PRNG('int-test', 'sfc32');
+assert(legacyA.int(1, 6) === Math.floor(legacyB.random() * 6) + 1, 'default int() keeps the legacy sequence');
+
+const wide = new PRNG('int-test');
+const wideValues = Array.from({ length: 200 }, () => wide.int(0, Number.MAX_SAFE_INTEGER));
+assert(wideValues.every(v => Number.isSafeInteger(v) && v >= 0), 'int() handles spans up to MAX_SAFE_INTEGER');
+assert(wideValues.some(v => v % 2 === 1) && wideValues.some(v => v > 2 ** 52), 'int() uses all bits of large spans');
+
+let unsafeThrows = false;
+try { wide.int(0, 2 ** 60); } catch (e) { unsafeThrows = true; }
+assert(unsafeThrows, 'int() rejects unsafe bounds');
+
+const bigValues = Array.from({ length: 200 }, () => wide.bigint(-(10n ** 30n), 10n ** 30n));
+assert(bigValues.every(v => typeof v === 'bigint' && v >= -(10n ** 30n) && v <= 10n ** 30n), 'bigint() in range');
+assert(bigValues.some(v => v < 0n) && bigValues.some(v => v > 0n), 'bigint() spans the range');
+assert(wide.bigint(7, 7) === 7n, 'bigint() accepts numbers and single-value ranges');
+
+section('Parallel Streams');
+
+for (const algo of ['mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg', 'xoshiro256', 'pcg64', 'splitmix64', 'chacha20', 'philox']) {
+    const parent = new PRNG('split-test', algo);
+    const children = parent.split(4);
+    const heads = children.map(child => Array.from({ length: 4 }, () => child.randomInt()).join(','));
+    assert(children.length === 4 && new Set(heads).size === 4, `${algo} split(4) gives distinct streams`);
+    assert(parent.randomInt() === new PRNG('split-test', algo).randomInt(), `${algo} split() leaves parent untouched`);
+}
+
+const jumpParent = new PRNG('split-test', 'xoshiro128');
+const jumpExpected = jumpParent.clone();
+jumpExpected.generator.advance(2n ** 64n * 2n);
+assert(jumpParent.streams(2)[1].randomInt() === jumpExpected.randomInt(), 'xoshiro128 streams are 2^64 draws apart');
+
+const longJumped = new Algorithms.Xoshiro128SS('split-test');
+const longAdvanced = longJumped.clone();
+longJumped.longJump();
+longAdvanced.advance(2n ** 96n);
+assert(longJumped.nextInt() === longAdvanced.nextInt(), 'xoshiro128 longJump() equals advance(2^96)');
+
+const pcgChildren = new PRNG('split-test', 'pcg32').split(3);
+assert(pcgChildren.map(c => c.generator.originalSequence).join(',') === '2,3,4', 'pcg32 split() assigns stream selectors');
+
+const sfcParent = new Algorithms.SFC32('split-test');
+const sfcChildren = sfcParent.split(3);
+assert(sfcChildren.every(c => c.a !== sfcParent.a && c.b !== sfcParent.b && c.c !== sfcParent.c) &&
+    new Set(sfcChildren.map(c => c.a)).size === 3, 'sfc32 split() seeds every child state word independently');
+
+section('ChaCha20');
+
+const zeroKey = new Algorithms.ChaCha20(0, 0, 20, new Uint8Array(32));
+assert(zeroKey.nextInt() === 0xade0b876 && zeroKey.nextInt() === 0x903df1a0, 'ChaCha20 matches RFC 7539 zero-key vector');
+
+const rfcKey = Uint8Array.from({ length: 32 }, (_, i) => i);
+const rfcStream = new Algorithms.ChaCha20(0, new Uint8Array([0, 0, 0, 0x4a, 0, 0, 0, 0]), 20, rfcKey);
+rfcStream.seek((1n + (0x09000000n << 32n)) * 16n);
+assert(rfcStream.nextInt() === 0xe4e7f110, 'ChaCha20 matches RFC 7539 block vector via seek()');
+
+const fair = new PRNG(null, 'chacha20', { key: rfcKey, nonce: 99 });
+const fairState = JSON.parse(JSON.stringify(fair.getState()));
+const fairNext = [fair.random(), fair.int(1, 100)];
+const fairRestored = new PRNG();
+fairRestored.setState(fairState);
+assert(fairRestored.random() === fairNext[0] && fairRestored.int(1, 100) === fairNext[1], 'ChaCha20 state survives JSON round-trip');
+assert(new PRNG(null, 'chacha20', { key: rfcKey, nonce: 98 }).random() !== new PRNG(null, 'chacha20', { key: rfcKey, nonce: 99 }).random(), 'ChaCha20 nonce selects the stream');
+const rfcKeyWords = Array.from({ length: 8 }, (_, i) => new DataView(rfcKey.buffer).getUint32(i * 4, true));
+assert(new PRNG('ignored', 'chacha20', { key: rfcKeyWords }).random() === new PRNG(null, 'chacha20', { key: rfcKey }).random(), 'ChaCha20 key option takes bytes or little-endian words');
+assert(PRNG.deserialize(fair.serialize()).random() === fair.clone().random(), 'ChaCha20 key option survives serialize()');
+assert(fair.stream('a').random() !== fair.stream('b').random() && fair.fork('x').generator.key.join() !== fair.generator.key.join(),
+    'stream() and fork() children of a raw key do not reuse it');
+
+const seekA = new PRNG('chacha-test', 'chacha12');
+const seekB = seekA.clone();
+for (let i = 0; i < 41; i++) seekA.randomInt();
+seekB.generator.seek(41);
+assert(seekA.randomInt() === seekB.randomInt() && seekB.generator.tell() === 42n, 'ChaCha seek()/tell() track the word position');
+
+assert(Array.from(new Algorithms.ChaCha20('chacha-test').key).join() === Utils.hashSeed('chacha-test', 8).join(), 'ChaCha20 hashes other seeds to a full 256-bit key');
+assert(Array.from(new Algorithms.ChaCha20(rfcKey).key).join() === Utils.hashSeed(rfcKey, 8).join() &&
+    Array.from(new Algorithms.ChaCha20([1, 2, 3]).key).join() === Utils.hashSeed([1, 2, 3], 8).join(),
+    'ChaCha20 hashes byte and array seeds like any structured seed');
+
+for (const badKey of [new Uint8Array(31), new Uint8Array(36), [1, 2, 3, 4, 5, 6, 7], 'secret']) {
+    let badKeyThrows = false;
+    try { new PRNG(null, 'chacha20', { key: badKey }); } catch (e) { badKeyThrows = true; }
+    assert(badKeyThrows, `ChaCha20 rejects a ${badKey.length}-element key`);
+}
+
+section('Counter-Based Random Access');
+
+const philoxKat = new Algorithms.Philox4x32(0, 0x0370734413198a2en, [0xa4093822, 0x299f31d0]);
+philoxKat.seek((0x85a308d3243f6a88n) * 4n);
+assert(philoxKat.nextInt() === 0xd16cfe09 && philoxKat.nextInt() === 0x94fdcceb, 'Philox4x32-10 matches Random123 known-answer vector');
+assert(new Algorithms.Philox4x32(0, 0, [0, 0]).at(3) === 0x9b00dbd8, 'Philox at() matches zero-key vector');
+assert(new PRNG(null, 'philox', { key: [0, 0] }).generator.at(3) === 0x9b00dbd8, 'Philox key option is used as the raw key');
+const pairSeedWords = Utils.hashSeed([0, 0], 8);
+assert(new Algorithms.Philox4x32([0, 0]).key.join() === [pairSeedWords[1], pairSeedWords[0]].join(), 'Philox hashes a 2-word array seed like any structured seed');
+
+const tiles = new PRNG('world', 'philox');
+const tileValues = Array.from({ length: 12 }, () => tiles.random());
+assert(tileValues.every((v, i) => tiles.at(i) === v), 'at(i) equals the i-th random() value');
+const tilesBefore = tiles.random();
+tiles.setSeed('world', 'philox');
+tiles.advance(12);
+assert(tiles.random() === tilesBefore, 'at() does not change the sequential state');
+assert(tiles.at(2n ** 52n) === tiles.at(2 ** 52), 'at() accepts number and bigint indices alike');
+
+const tiles53 = new PRNG('world', 'philox', { precision: 53 });
+const tile53Values = [tiles53.random(), tiles53.random(), tiles53.random()];
+assert(tile53Values.every((v, i) => tiles53.at(i) === v), 'at(i) matches random() with precision 53');
+assert(new PRNG('world', 'philox', { stream: 1 }).at(0) !== tiles.at(0), 'Philox stream option selects the stream');
+
+let atThrew = false;
+try { new PRNG('world', 'xoshiro128').at(0); } catch (e) { atThrew = true; }
+assert(atThrew, 'at() throws for sequential algorithms');
+
+section('Self Test');
+
+const selfTestReport = SeedForge.selfTest();
+assert(selfTestReport.passed && selfTestReport.failed === 0, 'selfTest() passes on this engine');
+const selfTestNames = selfTestReport.results.map(r => r.name);
+assert(['mulberry32', 'xoshiro128**', 'xorshift128', 'pcg32', 'sfc32', 'lcg', 'xoshiro256**', 'pcg64', 'splitmix64',
+    'chacha20', 'chacha12', 'chacha8', 'philox', 'cyrb128', 'stringToSeed'].every(name => selfTestNames.includes(name)),
+    'selfTest() covers every algorithm and seeding hash');
+assert(selfTestReport.results.every(r => r.kind === 'reference' || r.kind === 'regression'), 'selfTest() labels every vector as reference or regression');
+const srandomPcg = new Algorithms.PCG64(0);
+srandomPcg.srandom(42n, 54n);
+assert(srandomPcg.nextBigInt() === 0x86b1da1d72062b68n, 'PCG64 srandom() matches the pcg64-demo seeding');
+
+const realImul = Math.imul;
+Math.imul = (a, b) => (a * b) | 0;
+const brokenReport = SeedForge.selfTest();
+Math.imul = realImul;
+assert(!brokenReport.passed && brokenReport.results.find(r => r.name === 'mulberry32').passed === false,
+    'selfTest() detects a broken Math.imul');
+
+section('Statistical Tests');
+
+const sfcReport = SeedForge.Stats.run('sfc32', { samples: 20000 });
+assert(sfcReport.passed && sfcReport.total === SeedForge.Stats.tests.length, 'Stats.run() passes a good generator');
+assert(sfcReport.results.every(r => r.pValue >= 0 && r.pValue <= 1 && typeof r.statistic === 'number'), 'Stats.run() reports a p-value per test');
+const lcgReport = SeedForge.Stats.run(new PRNG('stats', 'lcg'), { samples: 20000 });
+assert(lcgReport.verdict === 'fail' && lcgReport.results.find(r => r.name === 'bitRuns').verdict === 'fail', 'Stats.run() catches the LCG low bits');
+let weylState = 0;
+const weylReport = SeedForge.Stats.run(() => (weylState += 0x9e3779b9), { samples: 20000, tests: ['serialCorrelation', 'gap'] });
+assert(weylReport.total === 2 && weylReport.verdict === 'fail', 'Stats.run() accepts functions and a subset of tests');
+assert(SeedForge.Stats.run(new Algorithms.Mulberry32(7), { samples: 20000, tests: ['chiSquare'] }).passed, 'Stats.run() accepts raw generators');
+let unknownStatThrows = false;
+try { SeedForge.Stats.run('sfc32', { tests: ['diehard'] }); } catch (e) { unknownStatThrows = true; }
+assert(unknownStatThrows, 'Stats.run() rejects unknown tests');
+
+section('Goodness of Fit');
+
+const { distributions } = SeedForge.Stats;
+assert(Math.abs(distributions.normal.cdf(1.96) - 0.975) < 1e-4, 'normal.cdf() matches tables');
+assert(Math.abs(distributions.studentT.cdf(2.228, 10) - 0.975) < 1e-4, 'studentT.cdf() matches tables');
+assert(Math.abs(distributions.chiSquared.cdf(3.841, 1) - 0.95) < 1e-4, 'chiSquared.cdf() matches tables');
+assert(Math.abs(distributions.beta.cdf(0.3, 2, 5) - 0.579825) < 1e-6, 'beta.cdf() matches the closed form');
+assert(Math.abs(distributions.poisson.cdf(3, 2) - 19 / 3 * Math.exp(-2)) < 1e-9, 'Discrete distributions derive cdf() from pmf()');
+
+const fitCases = {
+    normal: [1, 2], exponential: [0.5], pareto: [3, 2], beta: [2, 5], gamma: [0.5, 2],
+    triangular: [0, 10, 3], logNormal: [0, 0.5], weibull: [2, 1.5], cauchy: [0, 1], chiSquared: [3],
+    studentT: [4], vonMises: [1, 2], poisson: [4], binomial: [20, 0.3], geometric: [0.2],
+    zipf: [50, 1.2], hypergeometric: [50, 20, 10]
+};
+assert(Object.keys(fitCases).length === Object.keys(distributions).length, 'Every distribution has a goodness-of-fit case');
+const fitRng = new PRNG('goodness-of-fit');
+for (const [name, params] of Object.entries(fitCases)) {
+    const fit = SeedForge.Stats.goodnessOfFit(fitRng, name, params, { samples: 2000 });
+    assert(fit.verdict !== 'fail' && fit.test === (distributions[name].type === 'continuous' ? 'ks' : 'chiSquare'), `${name}() samples fit its distribution`);
+}
+
+for (const [name, params] of [['vonMises', [-2, 1.5]], ['vonMises', [3, 0.5]], ['poisson', [45.5]], ['poisson', [1e6]], ['binomial', [1000, 0.01]], ['binomial', [5000, 0.7]], ['binomial', [1e6, 0.5]]]) {
+    const fit = SeedForge.Stats.goodnessOfFit(fitRng, name, params, { samples: 5000 });
+    assert(fit.verdict !== 'fail', `${name}(${params.join(', ')}) samples fit its distribution`);
+}
+const smallCounts = new PRNG('small-counts');
+const knuthReference = smallCounts.clone();
+const knuthPoisson = () => {
+    let k = 0, product = 1;
+    do { k++; product *= knuthReference.random(); } while (product > Math.exp(-12));
+    return k - 1;
+};
+const bernoulliBinomial = () => {
+    let successes = 0;
+    for (let i = 0; i < 999; i++) if (knuthReference.random() < 0.4) successes++;
+    return successes;
+};
+assert([1, 2, 3].every(() => smallCounts.poisson(12) === knuthPoisson() && smallCounts.binomial(999, 0.4) === bernoulliBinomial()),
+    'Small-parameter poisson() and binomial() keep their sequences');
+
+const skewedRng = new PRNG('skewed');
+skewedRng.gamma = (shape, scale) => PRNG.prototype.gamma.call(skewedRng, shape * 1.1, scale);
+assert(SeedForge.Stats.goodnessOfFit(skewedRng, 'gamma', [2, 1]).verdict === 'fail', 'goodnessOfFit() catches a skewed sampler');
+skewedRng.geometric = () => 0;
+assert(SeedForge.Stats.goodnessOfFit(skewedRng, 'geometric', [0.5]).pValue === 0, 'goodnessOfFit() rejects values outside the support');
+
+section('Algorithm Registry');
+
+class CounterHash {
+    constructor(seed = 0) {
+        this.name = 'counter-hash';
+        this.seed = typeof seed === 'string' ? SeedForge.Utils.stringToSeed(seed) : seed >>> 0;
+        this.counter = 0;
+    }
+    nextInt() {
+        let x = (this.seed ^ Math.imul(++this.counter, 0x9E3779B1)) >>> 0;
+        x = Math.imul(x ^ (x >>> 16), 0x85EBCA6B);
+        x = Math.imul(x ^ (x >>> 13), 0xC2B2AE35);
+        return (x ^ (x >>> 16)) >>> 0;
+    }
+    next() { return this.nextInt() / 4294967296; }
+    getState() { return { seed: this.seed, counter: this.counter }; }
+    setState(state) { this.seed = state.seed; this.counter = state.counter; }
+    reset() { this.counter = 0; }
+    clone() {
+        const c = new CounterHash(0);
+        c.setState(this.getState());
+        return c;
+    }
+}
+
+SeedForge.registerAlgorithm('counter-hash', CounterHash, { aliases: ['chash'] });
+
+const custom = new PRNG('registry-test', 'chash');
+custom.normal();
+const customState = custom.getState();
+const customExpected = [custom.normal(), custom.int(1, 100), custom.random()];
+custom.setState(customState);
+assert([custom.normal(), custom.int(1, 100), custom.random()].every((v, i) => v === customExpected[i]),
+    'Registered algorithm survives getState()/setState()');
+
+const customClone = custom.clone();
+assert(customClone.random() === custom.random(), 'Registered algorithm clone() works');
+assert(custom.fork('child').generator instanceof CounterHash, 'Registered algorithm fork() keeps algorithm');
+
+custom.checkpoint(0);
+const customAfterCheckpoint = custom.random();
+custom.rollback(0);
+assert(custom.random() === customAfterCheckpoint, 'checkpoint() falls back to getState() for generators without snapshots');
+
+class CounterKey {
+    valueOf() { return 7; }
+}
+const customSeeded = new PRNG(new CounterKey(), 'chash');
+assert(customSeeded.random() === new PRNG(7, 'chash').random(), 'Registered algorithm accepts its own seed types');
+let customStreamThrows = false;
+try { customSeeded.stream('child'); } catch (e) { customStreamThrows = true; }
+assert(customStreamThrows, 'stream() throws for seeds that cannot be hashed');
+
+let splitThrows = false;
+try { custom.split(2); } catch (e) { splitThrows = true; }
+assert(splitThrows, 'split() throws for algorithms without split support');
+
+SeedForge.seed('registry-test', 'counter-hash');
+assert(SeedForge.random() === new PRNG('registry-test', 'counter-hash').random(), 'SeedForge.seed() accepts registered algorithm');
+
+let duplicateThrows = false;
+try { SeedForge.registerAlgorithm('pcg', CounterHash); } catch (e) { duplicateThrows = true; }
+assert(duplicateThrows, 'registerAlgorithm() rejects names already in use');
+
+let incompleteThrows = false;
+try { SeedForge.registerAlgorithm('broken', class { next() { return 0; } }); } catch (e) { incompleteThrows = true; }
+assert(incompleteThrows, 'registerAlgorithm() rejects incomplete generators');
+
 section('All Algorithms');
 
-const algorithms = ['mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg'];
+const algorithms = ['mulberry32', 'xoshiro128', 'xorshift128', 'pcg32', 'sfc32', 'lcg', 'xoshiro256', 'pcg64', 'splitmix64', 'chacha20', 'chacha12', 'chacha8', 'philox'];
 
 for (const algo of algorithms) {
     const r1 = new PRNG('algo-test', algo);
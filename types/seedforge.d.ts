@@ -2,7 +2,17 @@
 // Project: SeedForge
 // Definitions by: SeedForge Contributors
 
-export type AlgorithmName = 'mulberry32' | 'xoshiro128' | 'xorshift128' | 'pcg32' | 'sfc32' | 'lcg';
+export type AlgorithmName =
+    | 'mulberry32' | 'xoshiro128' | 'xorshift128' | 'pcg32' | 'pcg32-legacy' | 'sfc32' | 'lcg'
+    | 'xoshiro256' | 'pcg64' | 'splitmix64'
+    | 'chacha20' | 'chacha12' | 'chacha8' | 'philox';
+
+/** Any value hashSeed() accepts: arrays and plain objects may nest the other types */
+export type SeedInput =
+    | string | number | bigint | boolean | null
+    | ArrayBuffer | ArrayBufferView
+    | SeedInput[]
+    | { [key: string]: SeedInput | undefined };
 
 export interface Point2D {
     x: number;
@@ -27,9 +37,74 @@ export interface HSL {
     l: number;
 }
 
+/** Interface a generator class must implement to be used with registerAlgorithm() */
+export interface Generator {
+    /** Registered name or one of its aliases */
+    name: string;
+    next(): number;
+    nextInt(): number;
+    nextBigInt?(): bigint;
+    advance?(n: number | bigint): void;
+    split?(count: number): Generator[];
+    /** Counter-based algorithms: the index-th nextInt() output, without changing state (enables PRNG.at) */
+    at?(index: number | bigint): number;
+    getState(): any;
+    setState(state: any): void;
+    /** Write the state into view at offset (SNAPSHOT_BYTES bytes); enables allocation-free checkpoints */
+    saveSnapshot?(view: DataView, offset: number): void;
+    loadSnapshot?(view: DataView, offset: number): void;
+    reset(): void;
+    clone(): Generator;
+}
+
+export interface GeneratorConstructor {
+    new (seed: any, options?: PRNGOptions): Generator;
+    /** Bytes saveSnapshot() writes */
+    SNAPSHOT_BYTES?: number;
+}
+
+export interface RegisterAlgorithmOptions {
+    aliases?: string[];
+    /** Build a generator from the PRNG seed and options (defaults to `new Generator(seed, options)`) */
+    create?(seed: any, options: PRNGOptions): Generator;
+}
+
+export interface PRNGOptions {
+    /** Stream selector for 'pcg32' and 'pcg64' (default 1) and 'philox' (default 0) */
+    stream?: number | bigint;
+    /** LCG multiplier */
+    a?: number;
+    /** LCG increment */
+    c?: number;
+    /** LCG modulus */
+    m?: number;
+    /** 64-bit nonce for 'chacha20', 'chacha12' and 'chacha8' (default 0) */
+    nonce?: number | bigint | Uint8Array;
+    /** Raw key for 'chacha20', 'chacha12', 'chacha8' (32 bytes or 8 words) and 'philox' (8 bytes or 2 words), used instead of the seed */
+    key?: Uint8Array | number[];
+    /** Bits of precision for random() and the distributions built on it (default 32) */
+    precision?: 32 | 53;
+    /** int() algorithm for spans up to 2^32: 'multiply' (default, legacy, slightly biased unless the span is a power of two) or 'lemire' (unbiased) */
+    intMethod?: 'multiply' | 'lemire';
+    /** How string and number seeds are hashed: 'legacy' (default) or 'canonical' (Utils.hashSeed) */
+    seeding?: 'legacy' | 'canonical';
+    /** Number of checkpoints checkpoint() keeps (default 64) */
+    history?: number;
+    /** normal() algorithm: 'polar' (default, legacy) or 'ziggurat' (faster) */
+    normalMethod?: 'polar' | 'ziggurat';
+    /** exponential() algorithm: 'inversion' (default, legacy) or 'ziggurat' (faster) */
+    exponentialMethod?: 'inversion' | 'ziggurat';
+    [key: string]: any;
+}
+
 export interface PRNGState {
     algorithm: string;
+    options?: PRNGOptions;
     generatorState: any;
+    /** Seed identity used by stream() */
+    streamKey?: any;
+    /** Raw values consumed since seeding */
+    draws?: number;
     normalCache: {
         spare: number | null;
         hasSpare: boolean;
@@ -37,13 +112,22 @@ export interface PRNGState {
 }
 
 export class PRNG {
-    constructor(seed?: string | number, algorithm?: AlgorithmName);
+    constructor(seed?: SeedInput, algorithm?: AlgorithmName | (string & {}), options?: PRNGOptions);
+
+    generator: Generator;
+    options: PRNGOptions;
 
     // Basic generation
     random(): number;
+    random53(): number;
+    /** The index-th random() value from the start of the stream, in O(1). Counter-based algorithms only */
+    at(index: number | bigint): number;
     randomInt(): number;
+    randomBigInt(): bigint;
     float(min?: number, max?: number): number;
+    /** Integer in [min, max]; slightly biased for spans up to 2^32 unless intMethod is 'lemire' */
     int(min: number, max: number): number;
+    bigint(min: bigint | number, max: bigint | number): bigint;
     bool(probability?: number): boolean;
     sign(probability?: number): -1 | 1;
 
@@ -66,6 +150,23 @@ export class PRNG {
     vonMises(mu?: number, kappa?: number): number;
     hypergeometric(N: number, K: number, n: number): number;
 
+    // Multivariate distributions
+    /** Correlated normals; covariance must be symmetric positive semi-definite (factorization cached per matrix) */
+    multivariateNormal(mean: ArrayLike<number>, covariance: ArrayLike<number>[]): number[];
+    /** Proportions summing to 1 */
+    dirichlet(alphas: number[]): number[];
+    /** Counts per category summing to n; probabilities are normalized */
+    multinomial(n: number, probabilities: number[]): number[];
+
+    // Precomputed samplers
+    /** Zipf by rejection-inversion: O(1) per value */
+    sampler(name: 'zipf', params: { n: number; s?: number }): Sampler<number>;
+    /** Hypergeometric by CDF table: O(log n) per value */
+    sampler(name: 'hypergeometric', params: { N: number; K: number; n: number }): Sampler<number>;
+    /** Alias-table sampling of indices, or of values when given */
+    sampler(name: 'discrete', params: { weights: ArrayLike<number> }): Sampler<number>;
+    sampler<T>(name: 'discrete', params: { weights: ArrayLike<number>; values: T[] }): Sampler<T>;
+
     // Array utilities
     shuffle<T>(array: T[]): T[];
     shuffled<T>(array: T[]): T[];
@@ -75,6 +176,20 @@ export class PRNG {
     weightedPickObject<T extends string>(weightedItems: Record<T, number>): T;
     array<T>(length: number, generator?: () => T): T[];
 
+    // Bulk generation
+    fill<T extends Float32Array | Float64Array | Uint8Array | Uint8ClampedArray | Int8Array | Uint16Array | Int16Array | Uint32Array | Int32Array | BigUint64Array | BigInt64Array>(array: T): T;
+    fillUint32<T extends Uint32Array | number[]>(array: T): T;
+    fillFloat32(array: Float32Array): Float32Array;
+    fillFloat64<T extends Float64Array | number[]>(array: T): T;
+    fillFloat<T extends Float32Array | Float64Array | number[]>(array: T, min?: number, max?: number): T;
+    fillInt<T extends ArrayLike<number> & { [index: number]: number }>(array: T, min: number, max: number): T;
+    fillNormal<T extends Float32Array | Float64Array | number[]>(array: T, mean?: number, stdDev?: number): T;
+    fillExponential<T extends Float32Array | Float64Array | number[]>(array: T, lambda?: number): T;
+    /** n normal() values; writes the first n values of out when given */
+    normals(n: number, mean?: number, stdDev?: number, out?: Float64Array): Float64Array;
+    /** n exponential() values; writes the first n values of out when given */
+    exponentials(n: number, lambda?: number, out?: Float64Array): Float64Array;
+
     // Geometric utilities
     pointInCircle(radius?: number): Point2D;
     pointOnCircle(radius?: number): Point2D;
@@ -94,19 +209,109 @@ export class PRNG {
     string(length: number, charset?: string): string;
 
     // State management
+    /** Skip n raw draws; throws if draws would pass 2^53 - 1 (use generator.advance() beyond that) */
+    advance(n: number | bigint): this;
     getState(): PRNGState;
     setState(state: PRNGState): void;
+    /** Compact `sf<version>.<algorithm>.<payload>.<checksum>` string of the full state */
+    serialize(): string;
+    /** Restore a PRNG from serialize() output; throws on malformed, corrupted or incompatible data */
+    static deserialize(str: string): PRNG;
+    /** The serialize() state as a case-insensitive Crockford base32 code with a checksum */
+    toStateCode(): string;
+    /** Restore a PRNG from toStateCode() output; throws on typos */
+    static fromStateCode(code: string): PRNG;
     reset(): void;
     clone(): PRNG;
     fork(label?: string): PRNG;
-    setSeed(seed: string | number, algorithm?: AlgorithmName): void;
+    /** Raw generator values consumed since seeding or reset() */
+    draws: number;
+    /** Report each outermost high-level call and the raw values it used; returns a function that removes the listener */
+    onDraw(listener: (call: DrawCall) => void): () => void;
+    /** Save the state under frameId in the history ring; frame ids must increase */
+    checkpoint(frameId: number): this;
+    /** Restore the state saved for frameId and drop newer checkpoints; throws if there is none */
+    rollback(frameId: number): this;
+    hasCheckpoint(frameId: number): boolean;
+    static checkpointAll(prngs: PRNG[], frameId: number): void;
+    /** Atomic: throws without changing any generator if one lacks the checkpoint */
+    static rollbackAll(prngs: PRNG[], frameId: number): void;
+    /** Substream derived from the seed and a '/'-separated path; does not consume or depend on this generator's draws */
+    stream(path: string | string[]): PRNG;
+    split(count: number): PRNG[];
+    streams(count: number): PRNG[];
+    setSeed(seed: SeedInput, algorithm?: AlgorithmName | (string & {}), options?: PRNGOptions): void;
+}
+
+export interface Sampler<T = number> {
+    readonly rng: PRNG;
+    readonly name: 'zipf' | 'hypergeometric' | 'discrete';
+    sample(): T;
+    samples(n: number, out?: T extends number ? Float64Array | number[] : T[]): T extends number ? Float64Array : T[];
+    /** Same tables, drawing from another generator */
+    bind(rng: PRNG): Sampler<T>;
+}
+
+export interface DrawCall {
+    method: string;
+    args: any[];
+    result: any;
+    /** Raw values the call consumed, including nested calls */
+    draws: number;
+}
+
+export interface RecordedCall {
+    /** 'root', or a path such as 'root/fork0' for generators handed out by fork/split/clone */
+    id: string;
+    tag: string;
+    method: string;
+    args: any[];
+    result?: any;
+}
+
+export interface RecordLog {
+    version: number;
+    /** serialize() output of the wrapped PRNG when recording started */
+    start: string;
+    entries: RecordedCall[];
+}
+
+export interface RecordDivergence {
+    index: number;
+    /** Fields that differ: 'id', 'tag', 'method', 'args', 'result', 'extra call' or 'missing call' */
+    differences: string[];
+    expected: RecordedCall | null;
+    actual: RecordedCall | null;
+}
+
+export interface PRNGRecorderOptions {
+    tag?: string;
+    verify?: RecordLog;
+    onDivergence?: (divergence: RecordDivergence) => void;
+}
+
+export class PRNGRecorder {
+    constructor(prng: PRNG, options?: PRNGRecorderOptions);
+    /** Drop-in PRNG whose calls are recorded */
+    readonly prng: PRNG;
+    /** Caller tag attached to the next calls */
+    tag: string;
+    readonly entries: RecordedCall[];
+    /** First call that differed from the verify log, or null */
+    readonly divergence: RecordDivergence | null;
+    withTag<T>(tag: string, fn: () => T): T;
+    report(): RecordDivergence | null;
+    export(): RecordLog;
+    static replay(log: RecordLog, prng?: PRNG): RecordDivergence | null;
 }
 
 export namespace Algorithms {
     export class Mulberry32 {
-        constructor(seed?: string | number);
+        constructor(seed?: SeedInput);
         next(): number;
         nextInt(): number;
+        advance(n: number | bigint): void;
+        split(count: number): Mulberry32[];
         getState(): any;
         setState(state: any): void;
         reset(): void;
@@ -114,10 +319,13 @@ export namespace Algorithms {
     }
 
     export class Xoshiro128SS {
-        constructor(seed?: string | number);
+        constructor(seed?: SeedInput);
         next(): number;
         nextInt(): number;
         jump(): void;
+        longJump(): void;
+        advance(n: number | bigint): void;
+        split(count: number): Xoshiro128SS[];
         getState(): any;
         setState(state: any): void;
         reset(): void;
@@ -125,9 +333,12 @@ export namespace Algorithms {
     }
 
     export class Xorshift128Plus {
-        constructor(seed?: string | number);
+        constructor(seed?: SeedInput);
         next(): number;
         nextInt(): number;
+        jump(): void;
+        advance(n: number | bigint): void;
+        split(count: number): Xorshift128Plus[];
         getState(): any;
         setState(state: any): void;
         reset(): void;
@@ -135,19 +346,29 @@ export namespace Algorithms {
     }
 
     export class PCG32 {
-        constructor(seed?: string | number, sequence?: number);
+        constructor(seed?: SeedInput, sequence?: number | bigint);
         next(): number;
         nextInt(): number;
+        advance(n: number | bigint): void;
+        split(count: number): PCG32[];
         getState(): any;
         setState(state: any): void;
         reset(): void;
         clone(): PCG32;
     }
 
+    /** The pre-reference pcg32 of SeedForge 1.x; poor output, only for reproducing old seeds. advance() steps in O(n) */
+    export class PCG32Legacy extends PCG32 {
+        split(count: number): PCG32Legacy[];
+        clone(): PCG32Legacy;
+    }
+
     export class SFC32 {
-        constructor(seed?: string | number);
+        constructor(seed?: SeedInput);
         next(): number;
         nextInt(): number;
+        advance(n: number | bigint): void;
+        split(count: number): SFC32[];
         getState(): any;
         setState(state: any): void;
         reset(): void;
@@ -155,14 +376,89 @@ export namespace Algorithms {
     }
 
     export class LCG {
-        constructor(seed?: string | number, a?: number, c?: number, m?: number);
+        constructor(seed?: SeedInput, a?: number, c?: number, m?: number);
         next(): number;
         nextInt(): number;
+        advance(n: number | bigint): void;
+        split(count: number): LCG[];
         getState(): any;
         setState(state: any): void;
         reset(): void;
         clone(): LCG;
     }
+
+    export class Xoshiro256SS {
+        constructor(seed?: SeedInput);
+        next(): number;
+        nextInt(): number;
+        nextBigInt(): bigint;
+        jump(): void;
+        longJump(): void;
+        advance(n: number | bigint): void;
+        split(count: number): Xoshiro256SS[];
+        getState(): any;
+        setState(state: any): void;
+        reset(): void;
+        clone(): Xoshiro256SS;
+    }
+
+    export class PCG64 {
+        constructor(seed?: SeedInput, sequence?: number | bigint);
+        /** Seed like the reference pcg64_srandom_r(), without hashing */
+        srandom(initState: bigint, initSeq: number | bigint): void;
+        next(): number;
+        nextInt(): number;
+        nextBigInt(): bigint;
+        advance(n: number | bigint): void;
+        split(count: number): PCG64[];
+        getState(): any;
+        setState(state: any): void;
+        reset(): void;
+        clone(): PCG64;
+    }
+
+    export class SplitMix64 {
+        constructor(seed?: SeedInput);
+        next(): number;
+        nextInt(): number;
+        nextBigInt(): bigint;
+        advance(n: number | bigint): void;
+        split(count: number): SplitMix64[];
+        getState(): any;
+        setState(state: any): void;
+        reset(): void;
+        clone(): SplitMix64;
+    }
+
+    export class ChaCha20 {
+        constructor(seed?: SeedInput, nonce?: number | bigint | Uint8Array, rounds?: 8 | 12 | 20, key?: Uint8Array | Uint32Array | number[]);
+        readonly rounds: 8 | 12 | 20;
+        next(): number;
+        nextInt(): number;
+        tell(): bigint;
+        seek(position: number | bigint): void;
+        advance(n: number | bigint): void;
+        split(count: number): ChaCha20[];
+        getState(): any;
+        setState(state: any): void;
+        reset(): void;
+        clone(): ChaCha20;
+    }
+
+    export class Philox4x32 {
+        constructor(seed?: SeedInput, stream?: number | bigint, key?: Uint8Array | Uint32Array | number[]);
+        at(index: number | bigint): number;
+        next(): number;
+        nextInt(): number;
+        tell(): bigint;
+        seek(position: number | bigint): void;
+        advance(n: number | bigint): void;
+        split(count: number): Philox4x32[];
+        getState(): any;
+        setState(state: any): void;
+        reset(): void;
+        clone(): Philox4x32;
+    }
 }
 
 export namespace Noise {
@@ -271,20 +567,159 @@ export namespace Noise {
 export namespace Utils {
     export function stringToSeed(str: string): number;
     export function cyrb128(str: string): [number, number, number, number];
+    /** Hash any seed value canonically (type-tagged, sorted object keys) into `count` 32-bit words (default 4) */
+    export function hashSeed(seed: SeedInput, count?: number): number[];
     export function splitmix64(seed: number): () => number;
 }
 
-export function create(seed?: string | number, algorithm?: AlgorithmName): PRNG;
-export function seed(seed: string | number, algorithm?: AlgorithmName): typeof import('./seedforge');
+export function create(seed?: SeedInput, algorithm?: AlgorithmName | (string & {}), options?: PRNGOptions): PRNG;
+export function seed(seed: SeedInput, algorithm?: AlgorithmName | (string & {}), options?: PRNGOptions): typeof import('./seedforge');
+export function registerAlgorithm(name: string, Generator: GeneratorConstructor, options?: RegisterAlgorithmOptions): void;
+
+export interface SelfTestResult {
+    name: string;
+    /** 'reference': published by the algorithm's authors or a standard; 'regression': recorded from this implementation */
+    kind: 'reference' | 'regression';
+    /** Where the vector comes from */
+    source: string;
+    passed: boolean;
+    expected: string[];
+    actual: string[] | null;
+    error?: string;
+}
+
+export interface SelfTestReport {
+    passed: boolean;
+    total: number;
+    failed: number;
+    results: SelfTestResult[];
+}
+
+/** Check every built-in algorithm, cyrb128 and stringToSeed against known-answer vectors */
+export function selfTest(): SelfTestReport;
+export interface SeedCodeOptions {
+    /** 'words' (default): e.g. 'MOSS-RAVEN-1427'; 'base32': 10 Crockford base32 characters */
+    format?: 'words' | 'base32';
+}
+
+/** Encode an integer seed from 0 to 2^32 - 1 as a short code with a checksum */
+export function toSeedCode(seed: number, options?: SeedCodeOptions): string;
+/** Decode a toSeedCode() code; throws on typos */
+export function fromSeedCode(code: string): number;
+export interface WeightedTableOptions {
+    /** 'alias' (default): O(1) picks, O(n) rebuild after changes; 'fenwick': O(log n) picks and updates */
+    mode?: 'alias' | 'fenwick';
+}
+
+export interface WeightedTableData<T = unknown> {
+    mode: 'alias' | 'fenwick';
+    items: T[];
+    weights: number[];
+}
+
+/** Reusable weighted pick over distinct items */
+export class WeightedTable<T = unknown> {
+    constructor(items?: T[], weights?: number[], options?: WeightedTableOptions);
+    static fromObject<K extends string>(weightedItems: Record<K, number>, options?: WeightedTableOptions): WeightedTable<K>;
+    static fromJSON<T = unknown>(data: WeightedTableData<T> | string): WeightedTable<T>;
+    readonly mode: 'alias' | 'fenwick';
+    readonly size: number;
+    readonly total: number;
+    /** Items in table order */
+    readonly items: T[];
+    has(item: T): boolean;
+    /** Weight of an item, 0 if absent */
+    weight(item: T): number;
+    /** Set a weight, adding the item if new */
+    set(item: T, weight: number): this;
+    /** Remove an item; the last item moves into its place */
+    remove(item: T): boolean;
+    pick(rng: PRNG): T;
+    toJSON(): WeightedTableData<T>;
+}
+
+export type StatsTestName = 'chiSquare' | 'serialCorrelation' | 'runs' | 'gap' | 'poker' | 'birthdaySpacings' | 'bitFrequency' | 'bitRuns';
+export type StatsVerdict = 'pass' | 'suspect' | 'fail';
+
+export interface StatsOptions {
+    /** Values each test reads (default 100000, minimum 20000) */
+    samples?: number;
+    /** Tests to run (default all) */
+    tests?: StatsTestName[];
+    /** Seed and options when the source is an algorithm name */
+    seed?: SeedInput;
+    generatorOptions?: PRNGOptions;
+}
+
+export interface StatsResult {
+    name: StatsTestName;
+    statistic: number;
+    pValue: number;
+    verdict: StatsVerdict;
+}
+
+export interface StatsReport {
+    verdict: StatsVerdict;
+    /** No test failed */
+    passed: boolean;
+    total: number;
+    failed: number;
+    suspect: number;
+    results: StatsResult[];
+}
+
+export type DistributionName = 'normal' | 'exponential' | 'pareto' | 'beta' | 'gamma' | 'triangular' | 'logNormal' | 'weibull' | 'cauchy' | 'chiSquared' | 'studentT' | 'vonMises' | 'poisson' | 'binomial' | 'geometric' | 'zipf' | 'hypergeometric';
+
+export interface ContinuousDistribution {
+    type: 'continuous';
+    /** P(X <= x); parameters as for the PRNG method */
+    cdf(x: number, ...params: number[]): number;
+}
+
+export interface DiscreteDistribution {
+    type: 'discrete';
+    /** P(X = k); parameters as for the PRNG method */
+    pmf(k: number, ...params: number[]): number;
+    cdf(x: number, ...params: number[]): number;
+    /** Smallest and largest possible values (largest may be Infinity) */
+    support(...params: number[]): [number, number];
+}
+
+export interface GoodnessOfFitResult {
+    name: DistributionName;
+    /** Kolmogorov-Smirnov for continuous distributions, chi-square for discrete ones */
+    test: 'ks' | 'chiSquare';
+    samples: number;
+    statistic: number;
+    pValue: number;
+    verdict: StatsVerdict;
+}
+
+export namespace Stats {
+    export const tests: StatsTestName[];
+    export const distributions: Record<DistributionName, ContinuousDistribution | DiscreteDistribution>;
+    /** Test rng[name](...params) samples against the theoretical distribution (default 10000 samples) */
+    export function goodnessOfFit(rng: PRNG, name: DistributionName, params?: number[], options?: { samples?: number }): GoodnessOfFitResult;
+    /** Run the test battery on an algorithm name, PRNG, generator or function returning 32-bit integers */
+    export function run(source: AlgorithmName | (string & {}) | PRNG | Generator | (() => number), options?: StatsOptions): StatsReport;
+}
+
 export function random(): number;
 
 declare const _default: {
     PRNG: typeof PRNG;
+    PRNGRecorder: typeof PRNGRecorder;
     Algorithms: typeof Algorithms;
     Noise: typeof Noise;
     Utils: typeof Utils;
     create: typeof create;
     seed: typeof seed;
+    registerAlgorithm: typeof registerAlgorithm;
+    selfTest: typeof selfTest;
+    Stats: typeof Stats;
+    toSeedCode: typeof toSeedCode;
+    fromSeedCode: typeof fromSeedCode;
+    WeightedTable: typeof WeightedTable;
     random: typeof random;
 };
 